@@ -0,0 +1,14 @@
+// `process.getBuiltinModule()` keeps the package free of Node.js imports, so it still works in browsers
+// eslint-disable-next-line n/prefer-global/process
+const asyncHooks = globalThis.process?.getBuiltinModule?.('node:async_hooks');
+
+// Returns a function that runs a function in the async context of the caller, so `AsyncLocalStorage` stores are kept, like with native timers
+// Chunks, tolerance windows, and schedulers share native timers between timers, so the context of the native timer can't be relied on
+export function captureAsyncContext() {
+	if (asyncHooks === undefined) {
+		return (function_, ...arguments_) => function_(...arguments_);
+	}
+
+	const resource = new asyncHooks.AsyncResource('UnlimitedTimeout');
+	return (function_, ...arguments_) => resource.runInAsyncScope(function_, undefined, ...arguments_);
+}
@@ -0,0 +1,54 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {AsyncLocalStorage} from 'node:async_hooks';
+import {
+	createTimers,
+	createVirtualClock,
+	createScheduler,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('async context - runs callbacks in the context they were scheduled in', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const storage = new AsyncLocalStorage();
+	const calls = [];
+
+	storage.run('first', () => {
+		timers.setTimeout(() => calls.push(['timeout', storage.getStore()]), 30 * DAY);
+		timers.setInterval(() => calls.push(['interval', storage.getStore()]), {delay: 20 * DAY, count: 2});
+	});
+
+	clock.tick(40 * DAY);
+
+	assert.deepEqual(calls, [
+		['interval', 'first'],
+		['timeout', 'first'],
+		['interval', 'first'],
+	]);
+});
+
+test('async context - keeps the context of each timer sharing a native timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const scheduler = createScheduler(clock);
+	const storage = new AsyncLocalStorage();
+	const calls = [];
+
+	for (const store of ['first', 'second']) {
+		storage.run(store, () => {
+			timers.setTimeout(() => calls.push(['tolerance', storage.getStore()]), {delay: 100, tolerance: 1000});
+			scheduler.setTimeout(() => calls.push(['scheduler', storage.getStore()]), 100);
+		});
+	}
+
+	clock.tick(1000);
+
+	assert.deepEqual(calls, [
+		['scheduler', 'first'],
+		['scheduler', 'second'],
+		['tolerance', 'first'],
+		['tolerance', 'second'],
+	]);
+});
@@ -0,0 +1,72 @@
+import {getZonedTime, zonedTimeToUtc, fromZonedTime} from './time-zone.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Average lengths, only used to estimate how many steps to skip
+const approximateUnitLengths = {
+	years: 365.2425 * DAY,
+	months: 30.436_875 * DAY,
+	weeks: 7 * DAY,
+	days: DAY,
+	hours: 60 * 60 * 1000,
+	minutes: 60 * 1000,
+	seconds: 1000,
+};
+
+const units = Object.keys(approximateUnitLengths);
+
+export function parseCalendarStep(step) {
+	if (typeof step !== 'object' || step === null) {
+		throw new TypeError('Expected step to be an object, for example, `{months: 1}`');
+	}
+
+	const parsed = {};
+	let hasLength = false;
+
+	for (const [unit, value] of Object.entries(step)) {
+		if (!units.includes(unit)) {
+			throw new TypeError(`Unknown calendar unit \`${unit}\`. Expected one of: ${units.join(', ')}`);
+		}
+
+		if (!Number.isSafeInteger(value) || value < 0) {
+			throw new TypeError(`Expected \`${unit}\` to be a non-negative integer`);
+		}
+
+		parsed[unit] = value;
+		hasLength ||= value > 0;
+	}
+
+	if (!hasLength) {
+		throw new TypeError('Expected step to be longer than zero');
+	}
+
+	return Object.fromEntries(units.map(unit => [unit, parsed[unit] ?? 0]));
+}
+
+export function getApproximateStepLength(step) {
+	return units.reduce((total, unit) => total + (step[unit] * approximateUnitLengths[unit]), 0);
+}
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// The time `count` steps after the anchor, in the given time zone.
+// Always computed from the anchor, so clamping the day of the month (January 31 → February 28) doesn't carry over to later months.
+export function addCalendarSteps(anchor, step, count, timeZone) {
+	const start = getZonedTime(anchor, timeZone);
+	const monthIndex = (start.month - 1) + (((step.years * 12) + step.months) * count);
+	const year = start.year + Math.floor(monthIndex / 12);
+	const month = (((monthIndex % 12) + 12) % 12) + 1;
+	const day = Math.min(start.day, getDaysInMonth(year, month));
+
+	const local = zonedTimeToUtc({
+		year,
+		month,
+		day: day + (((step.weeks * 7) + step.days) * count),
+		hour: start.hour + (step.hours * count),
+		minute: start.minute + (step.minutes * count),
+		second: start.second + (step.seconds * count),
+		millisecond: start.millisecond,
+	});
+
+	return fromZonedTime(getZonedTime(local, 'UTC'), timeZone);
+}
@@ -0,0 +1,123 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	setCalendarInterval,
+	createTimers,
+	createVirtualClock,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const collectCalendarTicks = ({step, start, duration, timezone, anchor}) => {
+	const clock = createVirtualClock({now: Date.parse(start)});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setCalendarInterval(step, () => {
+		ticks.push(new Date(clock.now()).toISOString());
+	}, {timezone, anchor});
+
+	clock.tick(duration);
+	timers.clearInterval(interval);
+
+	return ticks;
+};
+
+test('setCalendarInterval - steps by months and clamps the end of the month', () => {
+	const ticks = collectCalendarTicks({
+		step: {months: 1},
+		start: '2027-01-31T00:00:00Z',
+		duration: 100 * DAY,
+		timezone: 'UTC',
+	});
+
+	assert.deepEqual(ticks, ['2027-02-28T00:00:00.000Z', '2027-03-31T00:00:00.000Z', '2027-04-30T00:00:00.000Z']);
+});
+
+test('setCalendarInterval - steps by years', () => {
+	const ticks = collectCalendarTicks({
+		step: {years: 1},
+		start: '2028-02-29T12:00:00Z',
+		duration: 5 * 366 * DAY,
+		timezone: 'UTC',
+	});
+
+	assert.deepEqual(ticks, [
+		'2029-02-28T12:00:00.000Z',
+		'2030-02-28T12:00:00.000Z',
+		'2031-02-28T12:00:00.000Z',
+		'2032-02-29T12:00:00.000Z',
+		'2033-02-28T12:00:00.000Z',
+	]);
+});
+
+test('setCalendarInterval - keeps the wall-clock time across daylight saving time', () => {
+	const ticks = collectCalendarTicks({
+		step: {days: 1},
+		start: '2027-03-12T14:00:00Z',
+		duration: 3 * DAY,
+		timezone: 'America/New_York',
+	});
+
+	// Always 09:00 in New York, which is set forward on March 14th
+	assert.deepEqual(ticks, ['2027-03-13T14:00:00.000Z', '2027-03-14T13:00:00.000Z', '2027-03-15T13:00:00.000Z']);
+});
+
+test('setCalendarInterval - aligns to the anchor', () => {
+	const ticks = collectCalendarTicks({
+		step: {months: 1},
+		start: '2027-05-17T08:00:00Z',
+		duration: 60 * DAY,
+		timezone: 'Europe/Oslo',
+		anchor: '2020-01-01T00:00:00+01:00',
+	});
+
+	// Midnight on the 1st in Oslo, which is UTC+2 in the summer
+	assert.deepEqual(ticks, ['2027-05-31T22:00:00.000Z', '2027-06-30T22:00:00.000Z']);
+});
+
+test('setCalendarInterval - starts at an anchor in the future', () => {
+	const ticks = collectCalendarTicks({
+		step: {weeks: 1},
+		start: '2027-01-01T00:00:00Z',
+		duration: 20 * DAY,
+		timezone: 'UTC',
+		anchor: '2027-01-05T00:00:00Z',
+	});
+
+	assert.deepEqual(ticks, ['2027-01-05T00:00:00.000Z', '2027-01-12T00:00:00.000Z', '2027-01-19T00:00:00.000Z']);
+});
+
+test('setCalendarInterval - skips ticks that were missed', () => {
+	const clock = createVirtualClock({now: Date.parse('2027-01-01T00:00:00Z')});
+	let isFirst = true;
+	const timers = createTimers({
+		...clock,
+		setTimeout(callback, delay) {
+			// The first native timer fires late, as after a system suspend
+			const lateness = isFirst ? 2.5 * DAY : 0;
+			isFirst = false;
+			return clock.setTimeout(callback, delay + lateness);
+		},
+	});
+	const ticks = [];
+
+	const interval = timers.setCalendarInterval({days: 1}, () => {
+		ticks.push(new Date(clock.now()).toISOString());
+	}, {timezone: 'UTC'});
+
+	clock.tick(5 * DAY);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(ticks, ['2027-01-04T12:00:00.000Z', '2027-01-05T00:00:00.000Z', '2027-01-06T00:00:00.000Z']);
+});
+
+test('setCalendarInterval - throws on invalid steps', () => {
+	assert.throws(() => setCalendarInterval(undefined, () => {}), TypeError);
+	assert.throws(() => setCalendarInterval({}, () => {}), TypeError);
+	assert.throws(() => setCalendarInterval({months: 0}, () => {}), TypeError);
+	assert.throws(() => setCalendarInterval({months: 1.5}, () => {}), TypeError);
+	assert.throws(() => setCalendarInterval({fortnights: 1}, () => {}), /Unknown calendar unit/);
+	assert.throws(() => setCalendarInterval({months: 1}), TypeError);
+	assert.throws(() => setCalendarInterval({months: 1}, () => {}, {anchor: 'foo'}), TypeError);
+});
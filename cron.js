@@ -0,0 +1,191 @@
+import {getZonedTime, zonedTimeToUtc, fromZonedTime} from './time-zone.js';
+
+const nicknames = {
+	'@yearly': '0 0 1 1 *',
+	'@annually': '0 0 1 1 *',
+	'@monthly': '0 0 1 * *',
+	'@weekly': '0 0 * * 0',
+	'@daily': '0 0 * * *',
+	'@midnight': '0 0 * * *',
+	'@hourly': '0 * * * *',
+};
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const weekdayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const fields = [
+	{name: 'second', minimum: 0, maximum: 59},
+	{name: 'minute', minimum: 0, maximum: 59},
+	{name: 'hour', minimum: 0, maximum: 23},
+	{name: 'day of month', minimum: 1, maximum: 31},
+	{
+		name: 'month',
+		minimum: 1,
+		maximum: 12,
+		names: monthNames,
+	},
+	{
+		name: 'day of week',
+		minimum: 0,
+		// 7 is also Sunday
+		maximum: 7,
+		names: weekdayNames,
+	},
+];
+
+// Cron expressions are searched at most this many years ahead (February 29 can be 8 years apart)
+const MAX_YEARS_AHEAD = 8;
+
+function parseValue(value, field, expression) {
+	const nameIndex = field.names?.indexOf(value.toLowerCase()) ?? -1;
+	if (nameIndex !== -1) {
+		return nameIndex + field.minimum;
+	}
+
+	const number = /^\d+$/.test(value) ? Number(value) : Number.NaN;
+
+	if (!(number >= field.minimum && number <= field.maximum)) {
+		throw new TypeError(`Invalid ${field.name} \`${value}\` in cron expression \`${expression}\``);
+	}
+
+	return number;
+}
+
+function parseField(text, field, expression) {
+	const values = new Set();
+
+	for (const part of text.split(',')) {
+		const [range, stepText, ...rest] = part.split('/');
+
+		if (rest.length > 0 || range === '') {
+			throw new TypeError(`Invalid ${field.name} \`${part}\` in cron expression \`${expression}\``);
+		}
+
+		let start = field.minimum;
+		let end = field.maximum;
+
+		if (range !== '*' && range !== '?') {
+			const [first, last, ...others] = range.split('-');
+
+			if (others.length > 0) {
+				throw new TypeError(`Invalid ${field.name} \`${part}\` in cron expression \`${expression}\``);
+			}
+
+			start = parseValue(first, field, expression);
+			// `5/15` means every 15 starting at 5
+			end = last === undefined ? (stepText === undefined ? start : field.maximum) : parseValue(last, field, expression);
+		}
+
+		const step = stepText === undefined ? 1 : Number(stepText);
+
+		if (!Number.isInteger(step) || step < 1 || start > end) {
+			throw new TypeError(`Invalid ${field.name} \`${part}\` in cron expression \`${expression}\``);
+		}
+
+		for (let value = start; value <= end; value += step) {
+			values.add(value);
+		}
+	}
+
+	return values;
+}
+
+export function parseCron(expression) {
+	if (typeof expression !== 'string') {
+		throw new TypeError('Expected cron expression to be a string');
+	}
+
+	const normalized = nicknames[expression.trim().toLowerCase()] ?? expression.trim();
+	const parts = normalized.split(/\s+/);
+
+	if (parts.length === 5) {
+		// Without a seconds field, run at the start of the minute
+		parts.unshift('0');
+	}
+
+	if (parts.length !== 6) {
+		throw new TypeError(`Expected cron expression \`${expression}\` to have 5 or 6 fields`);
+	}
+
+	const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, fields[index], expression));
+
+	if (weekdays.has(7)) {
+		weekdays.delete(7);
+		weekdays.add(0);
+	}
+
+	return {
+		seconds,
+		minutes,
+		hours,
+		days,
+		months,
+		weekdays,
+		// Like Vixie cron, when both day fields are restricted, either one matching is enough
+		isDayRestricted: !/^[*?]$/.test(parts[3]),
+		isWeekdayRestricted: !/^[*?]$/.test(parts[5]),
+	};
+}
+
+function matchesDay(cron, year, month, day) {
+	const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+	const dayMatches = cron.days.has(day);
+	const weekdayMatches = cron.weekdays.has(weekday);
+
+	if (cron.isDayRestricted && cron.isWeekdayRestricted) {
+		return dayMatches || weekdayMatches;
+	}
+
+	return dayMatches && weekdayMatches;
+}
+
+// The first time matching the cron expression strictly after the given timestamp, or `Infinity` if there is none
+export function getNextCronTime(cron, after, timeZone) {
+	const start = getZonedTime(after, timeZone);
+	const lastYear = start.year + MAX_YEARS_AHEAD;
+
+	// Work with the wall-clock time as if it were UTC, so skipping ahead is plain calendar arithmetic
+	let local = zonedTimeToUtc({...start, millisecond: 0}) + 1000;
+
+	while (true) {
+		const date = new Date(local);
+		const year = date.getUTCFullYear();
+		const month = date.getUTCMonth() + 1;
+		const day = date.getUTCDate();
+		const hour = date.getUTCHours();
+		const minute = date.getUTCMinutes();
+		const second = date.getUTCSeconds();
+
+		if (year > lastYear) {
+			return Number.POSITIVE_INFINITY;
+		}
+
+		if (!cron.months.has(month)) {
+			local = Date.UTC(year, month, 1);
+		} else if (!matchesDay(cron, year, month, day)) {
+			local = Date.UTC(year, month - 1, day + 1);
+		} else if (!cron.hours.has(hour)) {
+			local = Date.UTC(year, month - 1, day, hour + 1);
+		} else if (!cron.minutes.has(minute)) {
+			local = Date.UTC(year, month - 1, day, hour, minute + 1);
+		} else if (cron.seconds.has(second)) {
+			const timestamp = fromZonedTime({
+				year,
+				month,
+				day,
+				hour,
+				minute,
+				second,
+			}, timeZone);
+
+			// The same wall-clock time can occur twice when clocks are set back, so only run on the first one
+			if (timestamp > after) {
+				return timestamp;
+			}
+
+			local += 1000;
+		} else {
+			local += 1000;
+		}
+	}
+}
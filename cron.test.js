@@ -0,0 +1,165 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	clearTimeout,
+	clearInterval,
+	schedule,
+	createTimers,
+	createVirtualClock,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const collectCronRuns = ({expression, start, duration, timezone}) => {
+	const clock = createVirtualClock({now: Date.parse(start)});
+	const timers = createTimers(clock);
+	const runs = [];
+
+	const timeout = timers.schedule(expression, () => {
+		runs.push(new Date(clock.now()).toISOString());
+	}, {timezone});
+
+	clock.tick(duration);
+	timers.clearTimeout(timeout);
+
+	return runs;
+};
+
+test('schedule - runs yearly across long waits', () => {
+	const runs = collectCronRuns({
+		expression: '0 0 1 1 *',
+		start: '2026-06-15T12:00:00Z',
+		duration: 3 * 365 * DAY,
+		timezone: 'UTC',
+	});
+
+	assert.deepEqual(runs, ['2027-01-01T00:00:00.000Z', '2028-01-01T00:00:00.000Z', '2029-01-01T00:00:00.000Z']);
+});
+
+test('schedule - supports ranges, steps, lists, and names', () => {
+	const runs = collectCronRuns({
+		expression: '0 9-17/4 * JAN MON,fri',
+		start: '2027-01-01T00:00:00Z',
+		duration: 5 * DAY,
+		timezone: 'UTC',
+	});
+
+	// January 1st 2027 is a Friday
+	assert.deepEqual(runs, [
+		'2027-01-01T09:00:00.000Z',
+		'2027-01-01T13:00:00.000Z',
+		'2027-01-01T17:00:00.000Z',
+		'2027-01-04T09:00:00.000Z',
+		'2027-01-04T13:00:00.000Z',
+		'2027-01-04T17:00:00.000Z',
+	]);
+});
+
+test('schedule - supports 6-field expressions with seconds', () => {
+	const runs = collectCronRuns({
+		expression: '*/20 * * * * *',
+		start: '2027-01-01T00:00:00Z',
+		duration: 60_000,
+		timezone: 'UTC',
+	});
+
+	assert.deepEqual(runs, ['2027-01-01T00:00:20.000Z', '2027-01-01T00:00:40.000Z', '2027-01-01T00:01:00.000Z']);
+});
+
+test('schedule - matches either day field when both are restricted', () => {
+	const runs = collectCronRuns({
+		expression: '0 0 13 * 5',
+		start: '2027-08-01T00:00:00Z',
+		duration: 20 * DAY,
+		timezone: 'UTC',
+	});
+
+	// Fridays and the 13th
+	assert.deepEqual(runs, [
+		'2027-08-06T00:00:00.000Z',
+		'2027-08-13T00:00:00.000Z',
+		'2027-08-20T00:00:00.000Z',
+	]);
+});
+
+test('schedule - supports nicknames', () => {
+	const runs = collectCronRuns({
+		expression: '@monthly',
+		start: '2027-01-15T00:00:00Z',
+		duration: 60 * DAY,
+		timezone: 'UTC',
+	});
+
+	assert.deepEqual(runs, ['2027-02-01T00:00:00.000Z', '2027-03-01T00:00:00.000Z']);
+});
+
+test('schedule - follows the time zone across daylight saving time', () => {
+	const runs = collectCronRuns({
+		expression: '0 9 * * *',
+		start: '2027-03-12T00:00:00Z',
+		duration: 4 * DAY,
+		timezone: 'America/New_York',
+	});
+
+	// Clocks are set forward on March 14th
+	assert.deepEqual(runs, [
+		'2027-03-12T14:00:00.000Z',
+		'2027-03-13T14:00:00.000Z',
+		'2027-03-14T13:00:00.000Z',
+		'2027-03-15T13:00:00.000Z',
+	]);
+});
+
+test('schedule - runs a repeated wall-clock time once when clocks are set back', () => {
+	const runs = collectCronRuns({
+		expression: '30 1 * * *',
+		start: '2027-11-06T12:00:00Z',
+		duration: 2 * DAY,
+		timezone: 'America/New_York',
+	});
+
+	assert.deepEqual(runs, ['2027-11-07T05:30:00.000Z', '2027-11-08T06:30:00.000Z']);
+});
+
+test('schedule - runs a skipped wall-clock time right after the gap', () => {
+	const runs = collectCronRuns({
+		expression: '30 2 * * *',
+		start: '2027-03-13T12:00:00Z',
+		duration: 2 * DAY,
+		timezone: 'America/New_York',
+	});
+
+	// 02:30 doesn't exist on March 14th, so it runs at 03:30 instead
+	assert.deepEqual(runs, ['2027-03-14T07:30:00.000Z', '2027-03-15T06:30:00.000Z']);
+});
+
+test('schedule - throws for expressions that never match', () => {
+	assert.throws(() => schedule('0 0 30 2 *', () => {}), {name: 'TypeError', message: 'The cron expression `0 0 30 2 *` never matches'});
+	assert.throws(() => schedule('0 0 31 4 *', () => {}), TypeError);
+});
+
+test('schedule - works with clearTimeout and clearInterval', () => {
+	const clock = createVirtualClock();
+	const timers = createTimers(clock);
+
+	const first = timers.schedule('* * * * *', () => {
+		assert.fail('Should never be called');
+	});
+	const second = timers.schedule('* * * * *', () => {
+		assert.fail('Should never be called');
+	});
+
+	clearTimeout(first);
+	clearInterval(second);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('schedule - throws on invalid expressions', () => {
+	for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *', '5-1 * * * *', 'L * * * *', '* * * FOO *']) {
+		assert.throws(() => schedule(expression, () => {}), TypeError, expression);
+	}
+
+	assert.throws(() => schedule(1, () => {}), TypeError);
+	assert.throws(() => schedule('* * * * *'), TypeError);
+	assert.throws(() => schedule('* * * * *', () => {}, {timezone: 'Mars/Olympus'}), RangeError);
+});
@@ -0,0 +1,58 @@
+// Stored on `globalThis` with `Symbol.for`, so listeners see timers from all copies of the package, like diagnostics channels do
+const listenersSymbol = Symbol.for('sindresorhus/unlimited-timeout#listeners');
+
+const timerEvents = ['scheduled', 'chunk', 'fired', 'cleared', 'error'];
+
+// `process.getBuiltinModule()` keeps the package free of Node.js imports, so it still works in browsers, where only `subscribe()` is available
+// eslint-disable-next-line n/prefer-global/process
+const diagnosticsChannel = globalThis.process?.getBuiltinModule?.('node:diagnostics_channel');
+const channels = new Map(timerEvents.map(event => [event, diagnosticsChannel?.channel(`unlimited-timeout:${event}`)]));
+
+const getListeners = event => {
+	globalThis[listenersSymbol] ??= new Map(timerEvents.map(event => [event, new Set()]));
+	return globalThis[listenersSymbol].get(event);
+};
+
+function validateEvent(event) {
+	if (!timerEvents.includes(event)) {
+		throw new TypeError(`Expected event to be one of ${timerEvents.map(event => `\`${event}\``).join(', ')}, got \`${event}\``);
+	}
+}
+
+export function subscribe(event, listener) {
+	validateEvent(event);
+
+	if (typeof listener !== 'function') {
+		throw new TypeError('Expected listener to be a function');
+	}
+
+	getListeners(event).add(listener);
+
+	return () => {
+		getListeners(event).delete(listener);
+	};
+}
+
+// The message is only created when someone is listening, so unobserved timers don't pay for it
+export function publish(event, getMessage) {
+	const channel = channels.get(event);
+	const listeners = getListeners(event);
+
+	if (!channel?.hasSubscribers && listeners.size === 0) {
+		return;
+	}
+
+	const message = getMessage();
+	channel?.publish(message);
+
+	for (const listener of listeners) {
+		// Like diagnostics channels, a throwing listener must not break the timer, so the error is rethrown outside of it
+		try {
+			listener(message, event);
+		} catch (error) {
+			queueMicrotask(() => {
+				throw error;
+			});
+		}
+	}
+}
@@ -0,0 +1,127 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import diagnosticsChannel from 'node:diagnostics_channel';
+import {
+	createTimers,
+	createVirtualClock,
+	subscribe,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createStallingTimers = (clock, lateness) => {
+	let isFirst = true;
+
+	return createTimers({
+		...clock,
+		setTimeout(callback, delay) {
+			const extra = isFirst ? lateness : 0;
+			isFirst = false;
+			return clock.setTimeout(callback, delay + extra);
+		},
+	});
+};
+
+const recordEvents = () => {
+	const events = [];
+	const unsubscribes = ['scheduled', 'chunk', 'fired', 'cleared', 'error'].map(event => subscribe(event, ({label, targetTime, lateness}) => {
+		events.push([event, label, targetTime, lateness]);
+	}));
+
+	return {
+		events,
+		stop() {
+			for (const unsubscribe of unsubscribes) {
+				unsubscribe();
+			}
+		},
+	};
+};
+
+test('subscribe - publishes the lifecycle of a timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const {events, stop} = recordEvents();
+
+	try {
+		timers.setTimeout(() => {}, {delay: 30 * DAY, label: 'renewal'});
+		const timeout = timers.setTimeout(() => {}, {delay: 1000, label: 'reminder'});
+		timers.clearTimeout(timeout);
+		clock.tick(30 * DAY);
+		// Clearing a fired timer is not an event
+		timers.clearTimeout(timeout);
+	} finally {
+		stop();
+	}
+
+	assert.deepEqual(events, [
+		['scheduled', 'renewal', 30 * DAY, 0],
+		['scheduled', 'reminder', 1000, 0],
+		['cleared', 'reminder', 1000, 0],
+		['chunk', 'renewal', 30 * DAY, 0],
+		['fired', 'renewal', 30 * DAY, 0],
+	]);
+});
+
+test('subscribe - reports how late a timer fires', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createStallingTimers(clock, 500);
+	const {events, stop} = recordEvents();
+
+	try {
+		timers.setTimeout(() => {}, {delay: 1000, label: 'late'});
+		clock.tick(1500);
+	} finally {
+		stop();
+	}
+
+	assert.deepEqual(events.at(-1), ['fired', 'late', 1000, 500]);
+});
+
+test('subscribe - publishes errors, also when they are handled', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const error = new Error('Failed');
+	const errors = [];
+	const unsubscribe = subscribe('error', message => {
+		errors.push(message.error);
+	});
+
+	try {
+		timers.setTimeout(() => {
+			throw error;
+		}, {delay: 1000, onError() {}});
+		clock.tick(1000);
+	} finally {
+		unsubscribe();
+	}
+
+	assert.deepEqual(errors, [error]);
+});
+
+test('subscribe - also publishes on diagnostics channels', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const messages = [];
+	const listener = (message, name) => {
+		messages.push([name, message.label]);
+	};
+
+	diagnosticsChannel.subscribe('unlimited-timeout:scheduled', listener);
+	diagnosticsChannel.subscribe('unlimited-timeout:fired', listener);
+
+	try {
+		timers.setTimeout(() => {}, {delay: 1000, label: 'channel'});
+		clock.tick(1000);
+	} finally {
+		diagnosticsChannel.unsubscribe('unlimited-timeout:scheduled', listener);
+		diagnosticsChannel.unsubscribe('unlimited-timeout:fired', listener);
+	}
+
+	assert.deepEqual(messages, [['unlimited-timeout:scheduled', 'channel'], ['unlimited-timeout:fired', 'channel']]);
+});
+
+test('subscribe - throws on invalid arguments', () => {
+	assert.throws(() => subscribe('started', () => {}), {name: 'TypeError', message: /Expected event to be one of/});
+	assert.throws(() => subscribe('fired'), {name: 'TypeError', message: 'Expected listener to be a function'});
+});
@@ -16,6 +16,59 @@ export type Timeout = {
 	id: TimerHandle | undefined;
 	cleared: boolean;
 
+	/**
+	The time the callback is scheduled to be called at, in milliseconds of the clock the timer uses. That's `performance.now()` for the `'monotonic'` clock and `Date.now()` for the `'wall'` clock.
+
+	For intervals, it's the time of the next tick. It's `Infinity` if the timer never fires. While paused, it's the time the timer would fire if resumed now.
+	*/
+	readonly targetTime: number;
+
+	/**
+	The number of milliseconds until the callback is called.
+
+	For intervals, it's the time until the next tick. It's `0` after the timer fired or was cleared, and `Infinity` if the timer never fires. While paused, it doesn't change.
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	const timeout = setTimeout(renewSubscription, 41 * 24 * 60 * 60 * 1000);
+
+	console.log(`Next renewal in ${Math.round(timeout.remaining / (24 * 60 * 60 * 1000))} days`);
+	//=> 'Next renewal in 41 days'
+	```
+	*/
+	readonly remaining: number;
+
+	/**
+	Whether the timer is paused with `pause()`.
+	*/
+	readonly paused: boolean;
+
+	/**
+	The number of ticks left before an interval with the `count` or `until` option clears itself, or `Infinity` for intervals without them. For timeouts, `1` until it fires.
+
+	Is `0` once the timer was cleared or ran its last tick.
+	*/
+	readonly ticksRemaining: number;
+
+	/**
+	The `label` option of the timer.
+	*/
+	readonly label: string | undefined;
+
+	/**
+	The function that created the timer: `'timeout'` for `setTimeout()` and `setTimeoutAt()`, `'interval'` for `setInterval()`, `'cron'` for `schedule()`, and `'calendar'` for `setCalendarInterval()`.
+	*/
+	readonly kind: 'timeout' | 'interval' | 'cron' | 'calendar';
+
+	/**
+	Whether the timer keeps the event loop alive. Like `Timeout#hasRef()` in Node.js.
+
+	@returns `false` after `unref()` was called, otherwise `true`.
+	*/
+	hasRef(): boolean;
+
 	/**
 	Prevents the event loop from exiting while this timer is active (Node.js only; no-op in browsers).
 
@@ -29,15 +82,314 @@ export type Timeout = {
 	@returns The timeout object for chaining.
 	*/
 	unref(): Timeout;
+
+	/**
+	Restart the timer with its original delay, counting from now. Like `Timeout#refresh()` in Node.js.
+
+	The handle stays the same and keeps its ref/unref state. A timeout that already fired is scheduled again. Does nothing if the timer was cleared.
+
+	@returns The timeout object for chaining.
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	const session = setTimeout(logOut, 30 * 24 * 60 * 60 * 1000);
+
+	// Extend the session on activity
+	session.refresh();
+	```
+	*/
+	refresh(): Timeout;
+
+	/**
+	Restart the timer with a new delay, counting from now.
+
+	The new delay is also used by later calls to `refresh()`, and for intervals, as the delay between the following ticks. The handle stays the same and keeps its ref/unref state. Does nothing if the timer was cleared.
+
+	@param delay - The new delay in milliseconds, or a duration. Coerced the same way as the `delay` of `setTimeout()`.
+	@returns The timeout object for chaining.
+	*/
+	reschedule(delay: Delay): Timeout;
+
+	/**
+	Freeze the countdown, keeping the remaining time. Use `resume()` to continue.
+
+	Does nothing if the timer is already paused, was cleared, or is a timeout that already fired. Calling `refresh()` or `reschedule()` while paused keeps the timer paused, with the new delay as the remaining time.
+
+	@returns The timeout object for chaining.
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	const trial = setTimeout(endTrial, 30 * 24 * 60 * 60 * 1000);
+
+	// The account was suspended
+	trial.pause();
+
+	// Later, continue with the remaining time
+	trial.resume();
+	```
+	*/
+	pause(): Timeout;
+
+	/**
+	Continue a paused timer with the remaining time it had when it was paused.
+
+	For intervals, the following ticks are scheduled relative to the resumed tick. Does nothing if the timer isn't paused or was cleared.
+
+	@returns The timeout object for chaining.
+	*/
+	resume(): Timeout;
+
+	/**
+	Clear the timer. Makes it work with `using`, to clear the timer at the end of the scope.
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	{
+		using timeout = setTimeout(sendReminder, 30 * 24 * 60 * 60 * 1000);
+		// …
+	}
+	// The timeout is cleared here
+	```
+	*/
+	[Symbol.dispose](): void;
+
+	/**
+	Get a numeric ID for the timer, like `Timeout` objects in Node.js. It's negative, so it never collides with native timer IDs.
+
+	While the timer is active, the ID, or its string form, can be passed to `clearTimeout()` or `clearInterval()` instead of the timeout object. This makes it possible to use the ID as an object key, or to store it.
+
+	@example
+	```
+	import {setTimeout, clearTimeout} from 'unlimited-timeout';
+
+	const timeout = setTimeout(sendReminder, 30 * 24 * 60 * 60 * 1000);
+	const id = Number(timeout);
+
+	clearTimeout(id);
+	```
+	*/
+	[Symbol.toPrimitive](): number;
+};
+
+/**
+A duration with calendar and time units, like a `Temporal.Duration`.
+
+`months` and `years` are resolved against the current date, so they must be whole numbers.
+*/
+export type DurationLike = {
+	readonly years?: number;
+	readonly months?: number;
+	readonly weeks?: number;
+	readonly days?: number;
+	readonly hours?: number;
+	readonly minutes?: number;
+	readonly seconds?: number;
+	readonly milliseconds?: number;
+	readonly microseconds?: number;
+	readonly nanoseconds?: number;
+};
+
+/**
+A delay in milliseconds, a duration string like `'3 months'`, `'1y 2d'`, or `'PT36H'`, or a duration object like `{days: 90}` or a `Temporal.Duration`.
+*/
+export type Delay = number | string | DurationLike;
+
+/**
+Options for a timer, passed instead of the delay.
+
+Only a plain object with at least one of these options is treated as options. Other objects, like `{valueOf: () => 200}`, are coerced to a number, like with native timers.
+*/
+export type Options = {
+	/**
+	The delay in milliseconds, or a duration. Coerced the same way as a `delay` passed directly.
+
+	@default 0
+	*/
+	readonly delay?: Delay;
+
+	/**
+	The clock used to measure the delay.
+
+	- `'monotonic'`: Uses `performance.now()`. Not affected by changes to the system clock, but depending on the platform, it may not advance while the system is suspended.
+	- `'wall'`: Uses `Date.now()`. Follows the system clock, so the timer fires at the intended wall-clock time even after the system was suspended or the clock was adjusted. Once a minute, a single check shared by all wall-clock timers compares the wall clock with the monotonic clock, so after a suspend, the timer fires at most a minute late. The callback is never called before the target wall-clock time.
+
+	With either clock, the remaining time is re-planned from the target at each internal chunk boundary, so a chunk firing late does not delay the timer further.
+
+	@default 'monotonic'
+	*/
+	readonly clock?: 'wall' | 'monotonic';
+
+	/**
+	Throw instead of coercing invalid delays, so a mis-parsed delay doesn't fire immediately.
+
+	The delay must be a non-negative number, `Infinity` (never fire), or a duration. Numeric strings without a unit, `NaN`, `undefined`, and other values throw a `TypeError`. Negative numbers throw a `RangeError`. Also applies to later calls to `reschedule()`.
+
+	@default false
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	setTimeout(purgeDeletedAccounts, {delay: Number(process.env.PURGE_DELAY), strict: true});
+	//=> TypeError: Expected delay to be a number or a duration, got `NaN`
+	```
+	*/
+	readonly strict?: boolean;
+
+	/**
+	Randomly move each run earlier or later, so many timers with the same delay don't all fire at the same instant.
+
+	- A number moves each run by up to that many milliseconds in either direction.
+	- `{fraction}` moves each run by up to that fraction of the delay in either direction. For example, `{fraction: 0.1}` moves a 30-day timer by up to 3 days.
+
+	Intervals pick a new random offset for every tick, but plan each tick from the unjittered target, so they don't drift over time. A run is never moved to before the current time.
+
+	@default 0
+
+	@example
+	```
+	import {setInterval} from 'unlimited-timeout';
+
+	// Re-validate every 30 days, give or take 1 day
+	setInterval(revalidate, {delay: '30 days', jitter: 24 * 60 * 60 * 1000});
+	```
+	*/
+	readonly jitter?: number | {readonly fraction: number};
+
+	/**
+	What an interval does after falling behind, for example, after the event loop was blocked or the system was suspended. Only applies to `setInterval()`.
+
+	- `'burst'`: Run once for every missed tick, back-to-back.
+	- `'skip'`: Drop the missed ticks, including the overdue one, and wait for the next tick on schedule.
+	- `'coalesce'`: Run the overdue tick once, and pass the number of skipped ticks to the callback, after the other arguments.
+
+	Either way, the following ticks stay aligned to the original schedule.
+
+	@default 'burst'
+
+	@example
+	```
+	import {setInterval} from 'unlimited-timeout';
+
+	setInterval(skippedDays => {
+		billCustomers({days: skippedDays + 1});
+	}, {delay: '1 day', missed: 'coalesce'});
+	```
+	*/
+	readonly missed?: 'burst' | 'skip' | 'coalesce';
+
+	/**
+	Whether an interval tick can start while the previous run is still going. Only applies to `setInterval()`.
+
+	With `false`, when the callback returns a promise, the next tick is scheduled once it settles. If the run took longer than the delay, the `missed` option decides what happens to the ticks that were due in the meantime.
+
+	@default true
+	*/
+	readonly overlap?: boolean;
+
+	/**
+	Called with errors thrown by the callback, including rejections of a returned promise, instead of them crashing the process. Overrides the `onError` option of `createTimers()`.
+
+	Intervals keep running after an error.
+
+	@example
+	```
+	import {setInterval} from 'unlimited-timeout';
+
+	setInterval(async () => {
+		await syncInventory();
+	}, {
+		delay: '1 hour',
+		overlap: false,
+		onError(error) {
+			logger.error(error);
+		},
+	});
+	```
+	*/
+	readonly onError?: ErrorHandler;
+
+	/**
+	The number of ticks after which the interval clears itself. Only applies to `setInterval()`.
+
+	Ticks skipped with the `missed` option count toward it, so the last tick stays on the original schedule.
+
+	@example
+	```
+	import {setInterval} from 'unlimited-timeout';
+
+	// Every 30 days, 12 times
+	setInterval(sendInvoice, {delay: '30 days', count: 12});
+	```
+	*/
+	readonly count?: number;
+
+	/**
+	The wall-clock time after which the interval clears itself. A tick exactly at this time still runs. Only applies to `setInterval()`.
+
+	Accepts a `Date`, a timestamp in milliseconds, or a date string.
+
+	@example
+	```
+	import {setInterval} from 'unlimited-timeout';
+
+	// Every 60 days until the end of the contract
+	setInterval(sendReport, {delay: '60 days', until: contract.endDate});
+	```
+	*/
+	readonly until?: Date | number | string;
+
+	/**
+	A name for the timer, to find it with `getActiveTimers()` or clear it with `clearAll()`.
+	*/
+	readonly label?: string;
+
+	/**
+	An `AbortSignal` to clear the timer with. If the signal is already aborted, the timer is not started.
+	*/
+	readonly signal?: AbortSignal;
+
+	/**
+	How many milliseconds late a run may be, so timers that are due around the same time can share a single native timer. Useful when there are many timers, for example, one per user.
+
+	Time is split into windows of this length, and all timers due in the same window run together at its end. A run is never early, and intervals stay aligned to their original schedule.
+
+	@default 0
+
+	@example
+	```
+	import {setTimeout} from 'unlimited-timeout';
+
+	for (const user of users) {
+		// All reminders due in the same minute share one native timer
+		setTimeout(sendReminder, {delay: user.reminderDelay, tolerance: 60 * 1000}, user);
+	}
+	```
+	*/
+	readonly tolerance?: number;
 };
 
+/**
+Handles an error thrown by a timer callback.
+
+@param error - The error thrown, or the rejection reason of the returned promise.
+@param timeout - The timer whose callback failed.
+*/
+export type ErrorHandler = (error: unknown, timeout: Timeout) => void;
+
 /**
 Schedule a function to be called after a delay, even if the delay exceeds JavaScript's built-in `setTimeout` maximum of ~24.8 days.
 
 Unlike the native `setTimeout`, this function handles arbitrarily long delays by breaking them into smaller chunks internally.
 
 @param callback - The function to call after the delay.
-@param delay - The delay in milliseconds. Like native `setTimeout`, the value is coerced to a number. Invalid values (NaN, negative numbers) are clamped to `0` (immediate firing). `Infinity` means wait forever (never fire).
+@param delay - The delay in milliseconds, a duration (see `parseDelay()`), or an options object. Like native `setTimeout`, other values are coerced to a number. Invalid values (NaN, negative numbers) are clamped to `0` (immediate firing). `Infinity` means wait forever (never fire). Malformed duration strings throw a `TypeError`.
 @param arguments_ - Optional arguments to pass to the callback.
 @returns A timeout object that can be passed to `clearTimeout()`.
 
@@ -63,10 +415,60 @@ const timeout = setTimeout((name, count) => {
 	console.log(`Hello ${name}, called ${count} times`);
 }, 1000, 'Alice', 42);
 ```
+
+@example
+```
+import {setTimeout} from 'unlimited-timeout';
+
+// Measure the delay with the system clock
+const timeout = setTimeout(() => {
+	console.log('60 days have passed on the wall clock!');
+}, {delay: 60 * 24 * 60 * 60 * 1000, clock: 'wall'});
+```
+
+@example
+```
+import {setTimeout} from 'unlimited-timeout';
+
+// Use a duration string, for example, from a config file
+const timeout = setTimeout(() => {
+	console.log('Time to renew!');
+}, '3 months');
+```
 */
 export function setTimeout<Arguments extends unknown[]>(
 	callback: (...arguments_: Arguments) => void,
-	delay?: number,
+	delay?: Delay | Options,
+	...arguments_: Arguments
+): Timeout;
+
+/**
+Schedule a function to be called at a specific wall-clock time, even if it's more than ~24.8 days away.
+
+Unlike `setTimeout`, which measures elapsed time, this follows the system clock. The target is re-checked with `Date.now()` at each internal chunk boundary, so changes to the system clock (manual changes, NTP adjustments, sleep) while waiting are taken into account. The callback is never called before the target time.
+
+If the target time is in the past, the callback is called as soon as possible.
+
+@param date - The time to call the callback at. Accepts a `Date`, epoch milliseconds, or an ISO 8601 string.
+@param callback - The function to call at the given time.
+@param arguments_ - Optional arguments to pass to the callback.
+@returns A timeout object that can be passed to `clearTimeout()`.
+
+@example
+```
+import {setTimeoutAt, clearTimeout} from 'unlimited-timeout';
+
+const timeout = setTimeoutAt('2027-01-01T00:00Z', () => {
+	console.log('Happy new year!');
+});
+
+// Cancel it if needed
+clearTimeout(timeout);
+```
+*/
+export function setTimeoutAt<Arguments extends unknown[]>(
+	date: Date | number | string,
+	callback: (...arguments_: Arguments) => void,
 	...arguments_: Arguments
 ): Timeout;
 
@@ -75,6 +477,8 @@ Cancel a timeout created with `setTimeout()`.
 
 This function is safe to call multiple times with the same timeout object, and it's safe to call with `undefined` or `null`.
 
+Other values, like native Node.js `Timeout` objects or browser timer IDs, are passed to the native `clearTimeout()`, so it can replace it everywhere.
+
 @param timeout - The timeout object to cancel.
 
 @example
@@ -88,8 +492,9 @@ const timeout = setTimeout(() => {
 clearTimeout(timeout);
 ```
 */
-// eslint-disable-next-line @typescript-eslint/no-restricted-types
-export function clearTimeout(timeout: Timeout | undefined | null): void;
+// `TimerHandle` is a number in browsers, but not in Node.js
+// eslint-disable-next-line @typescript-eslint/no-restricted-types, @typescript-eslint/no-duplicate-type-constituents
+export function clearTimeout(timeout: Timeout | TimerHandle | number | string | undefined | null): void;
 
 /**
 Schedule a function to be called repeatedly with a delay between each call, even if the delay exceeds JavaScript's built-in `setInterval` maximum of ~24.8 days.
@@ -97,7 +502,7 @@ Schedule a function to be called repeatedly with a delay between each call, even
 Unlike the native `setInterval`, this function handles arbitrarily long delays by breaking them into smaller chunks internally.
 
 @param callback - The function to call after each delay.
-@param delay - The delay in milliseconds between each call. Like native `setInterval`, the value is coerced to a number. Invalid values (NaN, negative numbers) are clamped to `0` (immediate firing). `Infinity` means wait forever (never fire).
+@param delay - The delay in milliseconds between each call, a duration (see `parseDelay()`), or an options object. Like native `setInterval`, other values are coerced to a number. Invalid values (NaN, negative numbers) are clamped to `0` (immediate firing). `Infinity` means wait forever (never fire). Malformed duration strings throw a `TypeError`.
 @param arguments_ - Optional arguments to pass to the callback.
 @returns An interval object that can be passed to `clearInterval()`.
 
@@ -126,7 +531,16 @@ const interval = setInterval((message) => {
 */
 export function setInterval<Arguments extends unknown[]>(
 	callback: (...arguments_: Arguments) => void,
-	delay?: number,
+	delay?: Delay | Options,
+	...arguments_: Arguments
+): Timeout;
+
+/**
+With `missed: 'coalesce'`, the callback also receives the number of skipped ticks, after the other arguments.
+*/
+export function setInterval<Arguments extends unknown[]>(
+	callback: (...arguments_: [...Arguments, skippedTicks: number]) => void,
+	options: Options & {readonly missed: 'coalesce'},
 	...arguments_: Arguments
 ): Timeout;
 
@@ -135,6 +549,8 @@ Cancel an interval created with `setInterval()`.
 
 This function is safe to call multiple times with the same interval object, and it's safe to call with `undefined` or `null`.
 
+Other values, like native Node.js `Timeout` objects or browser timer IDs, are passed to the native `clearInterval()`, so it can replace it everywhere.
+
 @param interval - The interval object to cancel.
 
 @example
@@ -148,5 +564,517 @@ const interval = setInterval(() => {
 clearInterval(interval);
 ```
 */
-// eslint-disable-next-line @typescript-eslint/no-restricted-types
-export function clearInterval(interval: Timeout | undefined | null): void;
+// `TimerHandle` is a number in browsers, but not in Node.js
+// eslint-disable-next-line @typescript-eslint/no-restricted-types, @typescript-eslint/no-duplicate-type-constituents
+export function clearInterval(interval: Timeout | TimerHandle | number | string | undefined | null): void;
+
+export type ScheduleOptions = {
+	/**
+	The IANA time zone to interpret the cron expression in, for example, `'Europe/Oslo'`.
+
+	@default The system time zone
+	*/
+	readonly timezone?: string;
+
+	/**
+	A name for the timer, to find it with `getActiveTimers()` or clear it with `clearAll()`.
+	*/
+	readonly label?: string;
+
+	/**
+	An `AbortSignal` to clear the timer with. If the signal is already aborted, the timer is not started.
+	*/
+	readonly signal?: AbortSignal;
+};
+
+/**
+Schedule a function to be called on a cron schedule, even if the next occurrence is more than ~24.8 days away.
+
+Supports 5-field (`minute hour day-of-month month day-of-week`) and 6-field (with `second` first) expressions, including ranges (`1-5`), steps (`0-59/15`), lists (`1,15`), month and weekday names (`JAN`, `MON`), and the nicknames `@yearly`, `@annually`, `@monthly`, `@weekly`, `@daily`, `@midnight`, and `@hourly`. Like Vixie cron, when both day-of-month and day-of-week are restricted, a day matching either one runs. Expressions that never match, like `'0 0 30 2 *'` (February 30th), throw a `TypeError`.
+
+The next occurrence is computed from the wall clock after every run. When clocks are set back for daylight saving time, a repeated wall-clock time only runs once. When clocks are set forward, a skipped wall-clock time runs right after the gap.
+
+@param expression - The cron expression.
+@param callback - The function to call on each occurrence.
+@returns A timeout object that can be passed to `clearTimeout()` or `clearInterval()`.
+
+@example
+```
+import {schedule, clearInterval} from 'unlimited-timeout';
+
+// Every January 1st at midnight in Oslo
+const yearly = schedule('0 0 1 1 *', () => {
+	console.log('Happy new year!');
+}, {timezone: 'Europe/Oslo'});
+
+// Stop it
+clearInterval(yearly);
+```
+*/
+export function schedule(
+	expression: string,
+	callback: () => void,
+	options?: ScheduleOptions
+): Timeout;
+
+/**
+A calendar step. Units are added to the wall-clock time in the time zone, so a day is always from midnight to midnight, even across daylight saving time changes.
+*/
+export type CalendarStep = {
+	readonly years?: number;
+	readonly months?: number;
+	readonly weeks?: number;
+	readonly days?: number;
+	readonly hours?: number;
+	readonly minutes?: number;
+	readonly seconds?: number;
+};
+
+export type CalendarIntervalOptions = {
+	/**
+	The IANA time zone to step in, for example, `'Europe/Oslo'`.
+
+	@default The system time zone
+	*/
+	readonly timezone?: string;
+
+	/**
+	The time the ticks are aligned to. Ticks happen at the anchor plus a whole number of steps, starting with the first one after now, which is the anchor itself if it's in the future.
+
+	@default Date.now()
+	*/
+	readonly anchor?: Date | number | string;
+
+	/**
+	A name for the timer, to find it with `getActiveTimers()` or clear it with `clearAll()`.
+	*/
+	readonly label?: string;
+
+	/**
+	An `AbortSignal` to clear the timer with. If the signal is already aborted, the timer is not started.
+	*/
+	readonly signal?: AbortSignal;
+};
+
+/**
+Schedule a function to be called repeatedly, stepping by calendar units instead of a fixed number of milliseconds.
+
+Unlike `setInterval(callback, 30 * DAY)`, this stays on "the 1st of every month", and a daily interval stays at the same wall-clock time across daylight saving time changes. Every tick is computed from the anchor, so when a month is too short, the day is clamped for that month only (January 31 → February 28 → March 31).
+
+The next tick is computed from the wall clock after every run, so ticks that were missed (for example, while the system was suspended) are skipped.
+
+@param step - The calendar units to step by, for example, `{months: 1}`.
+@param callback - The function to call on each tick.
+@returns A timeout object that can be passed to `clearInterval()`.
+
+@example
+```
+import {setCalendarInterval, clearInterval} from 'unlimited-timeout';
+
+// The 1st of every month at midnight in Oslo
+const interval = setCalendarInterval({months: 1}, () => {
+	console.log('New month!');
+}, {timezone: 'Europe/Oslo', anchor: '2027-01-01T00:00+01:00'});
+
+// Stop it
+clearInterval(interval);
+```
+*/
+export function setCalendarInterval(
+	step: CalendarStep,
+	callback: () => void,
+	options?: CalendarIntervalOptions
+): Timeout;
+
+export type TimersOptions = {
+	/**
+	Returns the current time in milliseconds. Used for both the `'monotonic'` and the `'wall'` clock.
+
+	@default performance.now() for the monotonic clock and Date.now() for the wall clock
+	*/
+	readonly now?: () => number;
+
+	/**
+	Schedules a native timer. It's never called with a delay above `MAX_TIMEOUT`.
+
+	@default globalThis.setTimeout
+	*/
+	readonly setTimeout?: (callback: () => void, delay: number) => unknown;
+
+	/**
+	Cancels a native timer returned by the `setTimeout` option.
+
+	@default globalThis.clearTimeout
+	*/
+	readonly clearTimeout?: (id: any) => void;
+
+	/**
+	The default error handler for all timers of this instance. See the `onError` option of `setTimeout()`.
+	*/
+	readonly onError?: ErrorHandler;
+};
+
+export type Timers = {
+	setTimeout: typeof setTimeout;
+	setTimeoutAt: typeof setTimeoutAt;
+	clearTimeout: typeof clearTimeout;
+	setInterval: typeof setInterval;
+	clearInterval: typeof clearInterval;
+	schedule: typeof schedule;
+	setCalendarInterval: typeof setCalendarInterval;
+};
+
+/**
+Create the timer functions bound to a custom clock and native timer functions.
+
+The clock and native timer functions are captured when calling this function, not on each call, which makes it possible to test long timers deterministically. Handles from any instance can be cleared with any `clearTimeout`/`clearInterval`.
+
+@example
+```
+import {createTimers, createVirtualClock} from 'unlimited-timeout';
+
+const clock = createVirtualClock();
+const {setTimeout} = createTimers(clock);
+
+setTimeout(() => {
+	console.log('90 days have passed!');
+}, 90 * 24 * 60 * 60 * 1000);
+
+clock.tick(90 * 24 * 60 * 60 * 1000);
+//=> '90 days have passed!'
+```
+*/
+export function createTimers(options?: TimersOptions): Timers;
+
+/**
+A lightweight timeout object returned by a scheduler's `setTimeout()`.
+*/
+export type ScheduledTimeout = {
+	/**
+	Whether the timer was cleared.
+	*/
+	readonly cleared: boolean;
+
+	/**
+	The time the timer fires at, as measured by the clock of the scheduler.
+	*/
+	readonly targetTime: number;
+
+	/**
+	The time left until the timer fires in milliseconds. Is `0` once it fired or was cleared.
+	*/
+	readonly remaining: number;
+
+	/**
+	Whether the timer keeps the event loop alive.
+	*/
+	hasRef(): boolean;
+
+	/**
+	Make the timer keep the event loop alive. This is the default.
+	*/
+	ref(): ScheduledTimeout;
+
+	/**
+	Don't let the timer keep the event loop alive.
+	*/
+	unref(): ScheduledTimeout;
+};
+
+export type SchedulerOptions = Omit<TimersOptions, 'onError'> & {
+	/**
+	Called with errors thrown by a callback, including rejections of a returned promise, instead of them crashing the process.
+	*/
+	readonly onError?: (error: unknown, timeout: ScheduledTimeout) => void;
+};
+
+export type Scheduler = {
+	/**
+	The number of pending timers.
+	*/
+	readonly size: number;
+
+	/**
+	Schedule a function to be called after a delay.
+
+	@param delay - The delay in milliseconds, a duration, or an options object with `delay` and `strict`. The other options throw a `TypeError`. Coerced the same way as the `delay` of the top-level `setTimeout()`.
+	*/
+	setTimeout<Arguments extends unknown[]>(
+		callback: (...arguments_: Arguments) => void,
+		delay?: Delay | Pick<Options, 'delay' | 'strict'>,
+		...arguments_: Arguments
+	): ScheduledTimeout;
+
+	/**
+	Cancel a timeout. Safe to call multiple times, and with `undefined` or `null`.
+	*/
+	// eslint-disable-next-line @typescript-eslint/no-restricted-types
+	clearTimeout(timeout: ScheduledTimeout | undefined | null): void;
+};
+
+/**
+Create a scheduler that keeps all its pending timers in one priority queue, with a single native timer for the earliest one.
+
+Use it for large numbers of long timers, like per-user expirations. Scheduling and clearing a timer takes O(log n) time, and there is only one native timer, re-armed every ~24.8 days, instead of one per timer.
+
+@example
+```
+import {createScheduler} from 'unlimited-timeout';
+
+const scheduler = createScheduler();
+
+for (const user of users) {
+	scheduler.setTimeout(expireTrial, user.trialEndsIn, user.id);
+}
+```
+*/
+export function createScheduler(options?: SchedulerOptions): Scheduler;
+
+export type VirtualClockOptions = {
+	/**
+	The start time in milliseconds.
+
+	@default Date.now()
+	*/
+	readonly now?: number;
+};
+
+export type VirtualClock = {
+	/**
+	The number of pending virtual timers.
+	*/
+	readonly pendingCount: number;
+
+	/**
+	The current virtual time in milliseconds.
+	*/
+	now(): number;
+
+	/**
+	Schedule a virtual timer.
+	*/
+	setTimeout(callback: () => void, delay?: number): number;
+
+	/**
+	Cancel a virtual timer.
+	*/
+	clearTimeout(id: number | undefined): void;
+
+	/**
+	Advance the virtual time, running every timer that becomes due, in order. Timers scheduled while ticking run too if they are due within the ticked time.
+	*/
+	tick(milliseconds: number): void;
+
+	/**
+	Run all pending timers, advancing the virtual time to each of them, until none are left.
+
+	@throws If more than 10,000 timers were run, which usually means an interval is still active.
+	*/
+	runAll(): void;
+};
+
+/**
+Create a virtual clock for testing, to be passed to `createTimers()`.
+
+Time only advances when calling `tick()` or `runAll()`, which step through the internal chunk boundaries instantly.
+
+@example
+```
+import {createTimers, createVirtualClock} from 'unlimited-timeout';
+
+const clock = createVirtualClock({now: 0});
+const {setInterval, clearInterval} = createTimers(clock);
+
+let calls = 0;
+const interval = setInterval(() => {
+	calls++;
+}, 30 * 24 * 60 * 60 * 1000);
+
+clock.tick(365 * 24 * 60 * 60 * 1000);
+console.log(calls);
+//=> 12
+
+clearInterval(interval);
+```
+*/
+export function createVirtualClock(options?: VirtualClockOptions): VirtualClock;
+
+export type ParseDelayOptions = {
+	/**
+	The time to resolve `months` and `years` against, in epoch milliseconds.
+
+	@default Date.now()
+	*/
+	readonly now?: number;
+};
+
+/**
+Convert a duration to milliseconds.
+
+Accepts:
+- Strings with one or more amounts and units, like `'90 days'`, `'1y 2d'`, `'1h30m'`, or `'1 year, 2 months and 3 days'`. Units can be abbreviated (`ms`, `s`, `m`, `h`, `d`, `w`, `mo`, `y`).
+- ISO 8601 durations, like `'PT36H'` or `'P1Y2M'`.
+- Duration objects, like `{days: 90}` or a `Temporal.Duration`.
+- Numbers, which are returned as is.
+
+Days are always 24 hours. Months and years are resolved against the current date, so `'1 month'` from January 31 lasts until the end of February.
+
+@throws {TypeError} If the duration is malformed, or has fractional months or years.
+
+@example
+```
+import {parseDelay} from 'unlimited-timeout';
+
+parseDelay('1h30m');
+//=> 5400000
+
+parseDelay('PT36H');
+//=> 129600000
+
+parseDelay({weeks: 2});
+//=> 1209600000
+```
+*/
+export function parseDelay(delay: Delay, options?: ParseDelayOptions): number;
+
+/**
+Start tracking timers, so they can be listed with `getActiveTimers()` and cleared with `clearAll()`. Only timers created afterwards are tracked.
+
+The registry is shared by all copies of this package in the process.
+
+@example
+```
+import {enableRegistry, clearAll} from 'unlimited-timeout';
+
+enableRegistry();
+
+process.once('SIGTERM', () => {
+	clearAll();
+});
+```
+*/
+export function enableRegistry(): void;
+
+/**
+Stop tracking timers and forget the ones tracked so far. The timers keep running.
+*/
+export function disableRegistry(): void;
+
+export type RegistryFilter = {
+	/**
+	Only include timers with this label.
+	*/
+	readonly label?: string;
+};
+
+/**
+Get the active timers that were created while the registry was enabled.
+
+A timer is active until it's cleared, or, for timeouts, until it fires.
+
+@example
+```
+import {enableRegistry, getActiveTimers} from 'unlimited-timeout';
+
+enableRegistry();
+
+for (const timer of getActiveTimers()) {
+	console.log(timer.kind, timer.label, new Date(Date.now() + timer.remaining));
+}
+```
+*/
+export function getActiveTimers(filter?: RegistryFilter): Timeout[];
+
+/**
+Clear the active timers that were created while the registry was enabled.
+
+@returns The number of cleared timers.
+
+@example
+```
+import {clearAll} from 'unlimited-timeout';
+
+clearAll({label: 'reminders'});
+```
+*/
+export function clearAll(filter?: RegistryFilter): number;
+
+/**
+Replace the global `setTimeout()`, `setInterval()`, `clearTimeout()`, and `clearInterval()` with the unlimited versions, so all code in the process supports long delays.
+
+The replaced timers return timeout objects instead of native timer handles. Native timers created before calling this can still be cleared. Like the native one, the replaced `setTimeout()` works with `util.promisify()`. Does nothing if already installed.
+
+@example
+```
+import {install} from 'unlimited-timeout';
+
+install();
+
+setTimeout(() => {
+	console.log('30 days have passed!');
+}, 30 * 24 * 60 * 60 * 1000);
+```
+*/
+export function install(): void;
+
+/**
+Restore the global timer functions replaced by `install()`. Does nothing if not installed.
+*/
+export function uninstall(): void;
+
+/**
+A lifecycle event of a timer.
+
+- `'scheduled'`: The timer was created, refreshed, or rescheduled.
+- `'chunk'`: The timer re-armed after waiting `MAX_TIMEOUT`, as the target is further away than native timers support.
+- `'fired'`: The callback is about to run.
+- `'cleared'`: The timer was cleared before it was done, with `clearTimeout()`, a `signal`, or `clearAll()`.
+- `'error'`: The callback threw or its promise rejected.
+*/
+export type TimerEvent = 'scheduled' | 'chunk' | 'fired' | 'cleared' | 'error';
+
+export type TimerEventMessage = {
+	readonly timer: Timeout;
+
+	/**
+	The `label` of the timer, if any.
+	*/
+	readonly label: string | undefined;
+
+	readonly kind: Timeout['kind'];
+
+	/**
+	When the timer is due, in the time of its `clock`.
+	*/
+	readonly targetTime: number;
+
+	/**
+	How many milliseconds after `targetTime` the event happened. `0` when it's not late.
+	*/
+	readonly lateness: number;
+
+	/**
+	The error, for `'error'` events.
+	*/
+	readonly error?: unknown;
+};
+
+/**
+Listen to lifecycle events of all timers, to monitor timers that fire months after they were scheduled.
+
+The events are also published on `node:diagnostics_channel`, as `unlimited-timeout:<event>`, where it's available. Use `subscribe()` in browsers, or when you don't want to depend on Node.js.
+
+@returns A function that removes the listener.
+
+@example
+```
+import {subscribe} from 'unlimited-timeout';
+
+subscribe('fired', ({label, lateness}) => {
+	if (lateness > 60 * 1000) {
+		logger.warn(`Timer ${label} fired ${lateness}ms late`);
+	}
+});
+```
+*/
+export function subscribe(event: TimerEvent, listener: (message: TimerEventMessage, event: TimerEvent) => void): () => void;
@@ -1,192 +1,928 @@
-// Maximum safe timeout value for setTimeout in JavaScript (2^31 - 1 milliseconds)
-// This is approximately 24.8 days
-export const MAX_TIMEOUT = 2_147_483_647;
-
-// Brand symbol to identify our timeout/interval objects
-// Use Symbol.for to ensure cross-copy compatibility (monorepos, hoisted deps, etc.)
-const brandSymbol = Symbol.for('sindresorhus/unlimited-timeout#brand');
-
-export function setTimeout(callback, delay, ...arguments_) {
+import {parseCron, getNextCronTime} from './cron.js';
+import {parseCalendarStep, getApproximateStepLength, addCalendarSteps} from './calendar.js';
+import {normalizeDelay} from './parse-delay.js';
+import {getRegistry} from './registry.js';
+import {publish} from './diagnostics.js';
+import {captureAsyncContext} from './async-context.js';
+import {setTimeout as setTimeoutPromise} from './promises.js';
+import {
+	MAX_TIMEOUT,
+	brandSymbol,
+	cancelSymbol,
+	callNative,
+	replaceGlobals,
+	restoreGlobals,
+	isPlainObject,
+	timerOptionNames,
+	isOptionsObject,
+	isPromiseLike,
+	handleTimerError,
+} from './utilities.js';
+
+// Native timers follow the monotonic clock, which can stop while the system is suspended and doesn't follow changes to the system clock, so the wall clock is compared to it this often
+const WALL_CLOCK_CHECK_INTERVAL = 60 * 1000;
+// Drift below this is just timer imprecision, not a suspend or a clock change
+const WALL_CLOCK_DRIFT_THRESHOLD = 1000;
+
+const clockNames = new Set(['monotonic', 'wall']);
+const missedPolicies = new Set(['burst', 'skip', 'coalesce']);
+// Falls back to the key used by `Symbol.dispose` polyfills, for runtimes without explicit resource management
+const disposeSymbol = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+
+// Active timers that were converted to a primitive, like `Number(timeout)`, so the primitive can be passed to `clearTimeout()`, like native timer IDs in Node.js
+// The IDs are negative, so they never collide with native timer IDs
+const timersByPrimitive = new Map();
+let nextPrimitive = -1;
+
+const resolvePrimitive = value => typeof value === 'number' || typeof value === 'string' ? timersByPrimitive.get(Number(value)) ?? value : value;
+
+function validateCallback(callback) {
 	if (typeof callback !== 'function') {
 		throw new TypeError('Expected callback to be a function');
 	}
+}
 
-	// Coerce delay to number, matching native setTimeout behavior
-	delay ??= 0;
-	delay = Number(delay);
+// Either an absolute number of milliseconds or `{fraction}` of the delay, in both directions
+function validateJitter(jitter) {
+	if (typeof jitter === 'number') {
+		if (!Number.isFinite(jitter) || jitter < 0) {
+			throw new TypeError('Expected `jitter` to be a non-negative finite number');
+		}
 
-	let shouldUnref = false;
-	const timeout = {
-		[brandSymbol]: true,
-		id: undefined,
-		cleared: false,
-		ref() {
-			shouldUnref = false;
-			timeout.id?.ref?.();
-			return timeout;
-		},
-		unref() {
-			shouldUnref = true;
-			timeout.id?.unref?.();
-			return timeout;
-		},
-	};
+		return;
+	}
 
-	// Treat delays beyond MAX_SAFE_INTEGER as Infinity (precision loss)
-	// and positive Infinity means wait forever (never fire)
-	if (delay === Number.POSITIVE_INFINITY || delay > Number.MAX_SAFE_INTEGER) {
-		return timeout;
+	if (!isPlainObject(jitter) || typeof jitter.fraction !== 'number' || !(jitter.fraction >= 0 && jitter.fraction <= 1)) {
+		throw new TypeError('Expected `jitter` to be a number of milliseconds or an object with a `fraction` from 0 to 1');
 	}
+}
 
-	// Clamp invalid values to 0 (NaN, negative numbers result in immediate firing)
-	if (!Number.isFinite(delay) || delay < 0) {
-		delay = 0;
+function validateOnError(onError) {
+	if (onError !== undefined && typeof onError !== 'function') {
+		throw new TypeError('Expected `onError` to be a function');
 	}
+}
 
-	// Track target timestamp to avoid overshoot when chunks fire late
-	const targetTime = performance.now() + delay;
+function validateSignal(signal) {
+	if (signal !== undefined && (typeof signal !== 'object' || signal === null || !('aborted' in signal))) {
+		throw new TypeError('Expected `signal` to be an AbortSignal');
+	}
+}
 
-	const schedule = remainingDelay => {
-		if (timeout.cleared) {
-			return;
-		}
+function validateTolerance(tolerance) {
+	if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0) {
+		throw new TypeError('Expected `tolerance` to be a non-negative finite number');
+	}
+}
 
-		if (remainingDelay <= MAX_TIMEOUT) {
-			// Final timeout - execute callback
-			timeout.id = globalThis.setTimeout(() => {
-				if (!timeout.cleared) {
-					callback(...arguments_);
-				}
-			}, remainingDelay);
+function validateLabel(label) {
+	if (label !== undefined && typeof label !== 'string') {
+		throw new TypeError('Expected `label` to be a string');
+	}
+}
 
-			if (shouldUnref) {
-				timeout.id?.unref?.();
-			}
-		} else {
-			// Schedule next chunk
-			timeout.id = globalThis.setTimeout(() => {
-				const now = performance.now();
-				const remaining = Math.max(0, targetTime - now);
-				schedule(remaining);
-			}, MAX_TIMEOUT);
+// The delay argument can also be an options object with a `delay` property
+function normalizeOptions(delayOrOptions, getWallTime) {
+	const isOptions = isOptionsObject(delayOrOptions, timerOptionNames);
+	const {
+		delay,
+		clock = 'monotonic',
+		strict = false,
+		jitter = 0,
+		missed = 'burst',
+		overlap = true,
+		onError,
+		count = Number.POSITIVE_INFINITY,
+		until,
+		label,
+		signal,
+		tolerance = 0,
+	} = isOptions ? delayOrOptions : {delay: delayOrOptions};
+
+	if (!clockNames.has(clock)) {
+		throw new TypeError('Expected `clock` to be either `wall` or `monotonic`');
+	}
 
-			if (shouldUnref) {
-				timeout.id?.unref?.();
-			}
-		}
+	if (typeof strict !== 'boolean') {
+		throw new TypeError('Expected `strict` to be a boolean');
+	}
+
+	validateJitter(jitter);
+
+	if (!missedPolicies.has(missed)) {
+		throw new TypeError('Expected `missed` to be either `burst`, `skip`, or `coalesce`');
+	}
+
+	if (typeof overlap !== 'boolean') {
+		throw new TypeError('Expected `overlap` to be a boolean');
+	}
+
+	validateOnError(onError);
+
+	if (count !== Number.POSITIVE_INFINITY && !(Number.isSafeInteger(count) && count > 0)) {
+		throw new TypeError('Expected `count` to be a positive integer');
+	}
+
+	validateLabel(label);
+	validateSignal(signal);
+	validateTolerance(tolerance);
+
+	return {
+		delay: normalizeDelay(delay, getWallTime, {strict}),
+		clock,
+		strict,
+		jitter,
+		missed,
+		overlap,
+		onError,
+		count,
+		until: until === undefined ? Number.POSITIVE_INFINITY : toTimestamp(until),
+		label,
+		signal,
+		tolerance,
 	};
+}
 
-	schedule(delay);
+function toTimestamp(date) {
+	let timestamp = Number.NaN;
 
-	return timeout;
+	if (date instanceof Date) {
+		timestamp = date.getTime();
+	} else if (typeof date === 'number') {
+		timestamp = date;
+	} else if (typeof date === 'string') {
+		timestamp = Date.parse(date);
+	}
+
+	if (!Number.isFinite(timestamp)) {
+		throw new TypeError('Expected date to be a valid `Date`, epoch milliseconds, or an ISO 8601 string');
+	}
+
+	return timestamp;
 }
 
 export function clearTimeout(timeout) {
-	if (!timeout || typeof timeout !== 'object' || !timeout[brandSymbol]) {
+	if (timeout === undefined || timeout === null) {
+		return;
+	}
+
+	timeout = resolvePrimitive(timeout);
+
+	// Not one of ours, so it's likely a native timer, like a Node.js `Timeout` object or a numeric ID in browsers
+	if (typeof timeout !== 'object' || !timeout[brandSymbol]) {
+		callNative('clearTimeout', timeout);
+		return;
+	}
+
+	if (typeof timeout[cancelSymbol] === 'function') {
+		timeout[cancelSymbol]();
 		return;
 	}
 
 	timeout.cleared = true;
 
 	if (timeout.id !== undefined) {
-		globalThis.clearTimeout(timeout.id);
+		callNative('clearTimeout', timeout.id);
 		timeout.id = undefined;
 	}
 }
 
-export function setInterval(callback, delay, ...arguments_) {
-	if (typeof callback !== 'function') {
-		throw new TypeError('Expected callback to be a function');
+export function clearInterval(interval) {
+	interval = resolvePrimitive(interval);
+
+	if (interval !== undefined && interval !== null && (typeof interval !== 'object' || !interval[brandSymbol])) {
+		callNative('clearInterval', interval);
+		return;
+	}
+
+	clearTimeout(interval);
+}
+
+export function createTimers({
+	now,
+	setTimeout: setNativeTimeout = (callback, delay) => callNative('setTimeout', callback, delay),
+	clearTimeout: clearNativeTimeout = id => callNative('clearTimeout', id),
+	onError: defaultOnError,
+} = {}) {
+	if (now !== undefined && typeof now !== 'function') {
+		throw new TypeError('Expected `now` to be a function');
 	}
 
-	// Coerce delay to number, matching native setInterval behavior
-	delay ??= 0;
-	delay = Number(delay);
+	validateOnError(defaultOnError);
 
-	let shouldUnref = false;
-	const interval = {
-		[brandSymbol]: true,
-		id: undefined,
-		cleared: false,
-		ref() {
-			shouldUnref = false;
-			interval.id?.ref?.();
-			return interval;
-		},
-		unref() {
-			shouldUnref = true;
-			interval.id?.unref?.();
-			return interval;
-		},
+	// A custom clock replaces both the monotonic and the wall clock, so they can't drift apart
+	const canClocksDrift = now === undefined;
+	const clocks = {
+		monotonic: now ?? (() => performance.now()),
+		wall: now ?? (() => Date.now()),
 	};
 
-	// Treat delays beyond MAX_SAFE_INTEGER as Infinity (precision loss)
-	// and positive Infinity means wait forever (never fire)
-	if (delay === Number.POSITIVE_INFINITY || delay > Number.MAX_SAFE_INTEGER) {
-		return interval;
-	}
+	// Wall-clock timers wait on long native timers, and are re-planned by a single shared check when the wall clock drifts from the monotonic clock
+	const wallClockTimers = new Set();
+	let wallClockCheckId;
+	let clockOffset;
 
-	// Clamp invalid values to 0 (NaN, negative numbers result in immediate firing)
-	if (!Number.isFinite(delay) || delay < 0) {
-		delay = 0;
-	}
+	const getClockOffset = () => clocks.wall() - clocks.monotonic();
+
+	const armWallClockCheck = () => {
+		wallClockCheckId = setNativeTimeout(checkWallClock, WALL_CLOCK_CHECK_INTERVAL);
+		// The timers themselves keep the event loop alive, not the check
+		wallClockCheckId?.unref?.();
+	};
+
+	const checkWallClock = () => {
+		wallClockCheckId = undefined;
+		const offset = getClockOffset();
+		const hasDrifted = Math.abs(offset - clockOffset) > WALL_CLOCK_DRIFT_THRESHOLD;
+		clockOffset = offset;
+
+		if (hasDrifted) {
+			// Copied, as re-planning removes and re-adds the timers
+			const replans = [...wallClockTimers];
+			for (const replan of replans) {
+				replan();
+			}
+		}
+
+		// Re-planning may have armed the next check already
+		if (wallClockCheckId === undefined && wallClockTimers.size > 0) {
+			armWallClockCheck();
+		}
+	};
+
+	const watchWallClock = replan => {
+		wallClockTimers.add(replan);
+
+		if (wallClockCheckId === undefined) {
+			clockOffset = getClockOffset();
+			armWallClockCheck();
+		}
+	};
+
+	const unwatchWallClock = replan => {
+		wallClockTimers.delete(replan);
 
-	// Track target timestamp to avoid drift (use monotonic clock)
-	let nextTargetTime = performance.now() + delay;
+		if (wallClockTimers.size === 0 && wallClockCheckId !== undefined) {
+			clearNativeTimeout(wallClockCheckId);
+			wallClockCheckId = undefined;
+		}
+	};
+
+	// Timers with a `tolerance` share one native timer per window, keyed by clock and time
+	const buckets = new Map();
+
+	const updateBucketRef = bucket => {
+		if ([...bucket.members].some(member => member.hasRef())) {
+			bucket.id?.ref?.();
+		} else {
+			bucket.id?.unref?.();
+		}
+	};
+
+	const runBucket = (key, bucket) => {
+		buckets.delete(key);
+
+		// One throwing callback must not prevent the others in the window from running
+		const errors = [];
+		for (const member of bucket.members) {
+			try {
+				member.callback();
+			} catch (error) {
+				errors.push(error);
+			}
+		}
 
-	const schedule = remainingDelay => {
-		if (interval.cleared) {
-			return;
+		if (errors.length === 1) {
+			throw errors[0];
 		}
 
-		if (remainingDelay <= MAX_TIMEOUT) {
-			// Final timeout before callback
-			interval.id = globalThis.setTimeout(() => {
-				if (interval.cleared) {
+		if (errors.length > 1) {
+			throw new AggregateError(errors, 'Multiple timer callbacks threw');
+		}
+	};
+
+	const joinBucket = (key, milliseconds, member) => {
+		let bucket = buckets.get(key);
+
+		if (bucket === undefined) {
+			bucket = {members: new Set()};
+			bucket.id = setNativeTimeout(() => {
+				runBucket(key, bucket);
+			}, milliseconds);
+			buckets.set(key, bucket);
+		}
+
+		bucket.members.add(member);
+		updateBucketRef(bucket);
+
+		return {
+			leave() {
+				bucket.members.delete(member);
+
+				if (buckets.get(key) !== bucket) {
 					return;
 				}
 
-				// Pre-schedule next tick so throws don't kill the interval
-				nextTargetTime += delay;
-				const now = performance.now();
-				const nextDelay = Math.max(0, nextTargetTime - now);
-				schedule(nextDelay);
+				if (bucket.members.size === 0) {
+					clearNativeTimeout(bucket.id);
+					buckets.delete(key);
+				} else {
+					updateBucketRef(bucket);
+				}
+			},
+			updateRef() {
+				updateBucketRef(bucket);
+			},
+		};
+	};
+
+	// Creates the branded handle and drives the chunked scheduling for both timeouts and intervals
+	const startTimer = ({
+		callback,
+		arguments_,
+		delay,
+		targetTime,
+		clock,
+		strict = false,
+		jitter = 0,
+		missed = 'burst',
+		overlap = true,
+		onError = defaultOnError,
+		count = Number.POSITIVE_INFINITY,
+		until = Number.POSITIVE_INFINITY,
+		label,
+		kind,
+		signal,
+		tolerance = 0,
+		isInterval = false,
+		getNextTargetTime,
+	}) => {
+		const now = clocks[clock];
+		// `until` is a wall-clock time, so convert it to the clock of the timer
+		const untilTime = clock === 'wall' ? until : now() + (until - clocks.wall());
+		let ticksLeft = count;
+		let shouldUnref = false;
+		let hasFired = false;
+		let pausedRemaining;
+		let jitterOffset = 0;
+		// Without overlap, the next tick is only scheduled once the current run has finished
+		let isRunning = false;
+		// The shared window the timer waits in, when it has a `tolerance`
+		let bucketMembership;
+		// Only assigned once the timer is converted to a primitive
+		let primitive;
+		// Only timers created while the registry is enabled are tracked
+		const registry = getRegistry();
+		const runInAsyncContext = captureAsyncContext();
+
+		const getJitterOffset = () => {
+			const amount = typeof jitter === 'number' ? jitter : jitter.fraction * delay;
+			return amount === 0 ? 0 : ((Math.random() * 2) - 1) * amount;
+		};
+
+		// Jitter moves each run around its target, but the next target is still planned from the unjittered one, so intervals don't drift
+		const setTargetTime = newTargetTime => {
+			targetTime = newTargetTime;
+			// Never earlier than now, and never later than `until`
+			jitterOffset = Number.isFinite(targetTime) ? Math.max(Math.min(getJitterOffset(), untilTime - targetTime), now() - targetTime) : 0;
+		};
+
+		const getScheduledTime = () => targetTime + jitterOffset;
+
+		// Lateness is how long after its target the timer is running, to spot timers that fire much later than intended
+		const publishEvent = (event, extra) => {
+			publish(event, () => ({
+				timer,
+				label,
+				kind,
+				targetTime: getScheduledTime(),
+				lateness: Math.max(0, now() - getScheduledTime()),
+				...extra,
+			}));
+		};
+
+		// Track target timestamp to avoid overshoot when chunks fire late, and to avoid drift for intervals
+		delay ??= Math.max(0, targetTime - now());
+		setTargetTime(targetTime ?? now() + delay);
+
+		const timer = {
+			[brandSymbol]: true,
+			[cancelSymbol]() {
+				if (!timer.cleared && !hasFired) {
+					publishEvent('cleared');
+				}
 
-				// Now run user code — if it throws, the next tick still happens
-				callback(...arguments_);
-			}, remainingDelay);
+				timer.cleared = true;
+				disarm();
+				untrack();
+			},
+			[disposeSymbol]() {
+				timer[cancelSymbol]();
+			},
+			[Symbol.toPrimitive]() {
+				primitive ??= nextPrimitive--;
+
+				if (!timer.cleared && !hasFired) {
+					timersByPrimitive.set(primitive, timer);
+				}
 
-			if (shouldUnref) {
-				interval.id?.unref?.();
+				return primitive;
+			},
+			id: undefined,
+			cleared: false,
+			label,
+			kind,
+			get targetTime() {
+				return timer.paused ? now() + pausedRemaining : getScheduledTime();
+			},
+			get remaining() {
+				if (timer.cleared || hasFired) {
+					return 0;
+				}
+
+				return timer.paused ? pausedRemaining : Math.max(0, getScheduledTime() - now());
+			},
+			get paused() {
+				return pausedRemaining !== undefined;
+			},
+			get ticksRemaining() {
+				if (timer.cleared || hasFired) {
+					return 0;
+				}
+
+				if (!isInterval) {
+					return 1;
+				}
+
+				const ticksUntil = Number.isFinite(untilTime) && delay > 0 ? Math.floor((untilTime - targetTime) / delay) + 1 : Number.POSITIVE_INFINITY;
+				return Math.max(0, Math.min(ticksLeft, ticksUntil));
+			},
+			hasRef() {
+				return !shouldUnref;
+			},
+			ref() {
+				shouldUnref = false;
+				timer.id?.ref?.();
+				bucketMembership?.updateRef();
+				return timer;
+			},
+			unref() {
+				shouldUnref = true;
+				timer.id?.unref?.();
+				bucketMembership?.updateRef();
+				return timer;
+			},
+			refresh() {
+				restart(delay);
+				return timer;
+			},
+			reschedule(newDelay) {
+				restart(normalizeDelay(newDelay, clocks.wall, {strict}));
+				return timer;
+			},
+			pause() {
+				if (timer.cleared || hasFired || timer.paused) {
+					return timer;
+				}
+
+				pausedRemaining = Math.max(0, getScheduledTime() - now());
+				disarm();
+				return timer;
+			},
+			resume() {
+				if (timer.cleared || !timer.paused) {
+					return timer;
+				}
+
+				// Keep the jitter of the paused run
+				targetTime = now() + pausedRemaining - jitterOffset;
+				pausedRemaining = undefined;
+				schedule();
+				return timer;
+			},
+		};
+
+		const onAbort = () => {
+			timer[cancelSymbol]();
+		};
+
+		// Active timers are listed in the registry and listen for aborts. Once finished, they are removed, so long-lived signals don't keep them alive.
+		const track = () => {
+			registry?.add(timer);
+			signal?.addEventListener('abort', onAbort, {once: true});
+
+			if (primitive !== undefined) {
+				timersByPrimitive.set(primitive, timer);
 			}
-		} else {
-			// Schedule next chunk
-			interval.id = globalThis.setTimeout(() => {
-				const now = performance.now();
-				const nextDelay = Math.max(0, nextTargetTime - now);
-				schedule(nextDelay);
-			}, MAX_TIMEOUT);
+		};
+
+		const untrack = () => {
+			registry?.delete(timer);
+			signal?.removeEventListener('abort', onAbort);
+			timersByPrimitive.delete(primitive);
+		};
+
+		const arm = (callback, milliseconds) => {
+			timer.id = setNativeTimeout(callback, milliseconds);
 
 			if (shouldUnref) {
-				interval.id?.unref?.();
+				timer.id?.unref?.();
+			}
+		};
+
+		const disarm = () => {
+			if (timer.id !== undefined) {
+				clearNativeTimeout(timer.id);
+				timer.id = undefined;
+			}
+
+			bucketMembership?.leave();
+			bucketMembership = undefined;
+			unwatchWallClock(replan);
+		};
+
+		// After a suspend or a clock change, the native timer no longer matches the wall-clock target
+		const replan = () => {
+			disarm();
+			schedule();
+		};
+
+		const isWatchingWallClock = clock === 'wall' && canClocksDrift;
+
+		const fire = () => {
+			let skippedTicks = 0;
+			let nextTargetTime;
+
+			if (isInterval) {
+				nextTargetTime = getNextTargetTime?.() ?? targetTime + delay;
+
+				// After falling behind, run once instead of once for every missed tick
+				if (missed !== 'burst' && getNextTargetTime === undefined && delay > 0 && nextTargetTime <= now()) {
+					skippedTicks = Math.floor((now() - nextTargetTime) / delay) + 1;
+					nextTargetTime += skippedTicks * delay;
+				}
+			}
+
+			// With `skip`, the overdue tick is dropped too, so the callback only runs again on the next tick on schedule
+			const isDropped = missed === 'skip' && skippedTicks > 0;
+			if (!isDropped) {
+				publishEvent('fired');
+			}
+
+			if (isInterval) {
+				// Skipped ticks count toward `count` too, so the last tick stays on the original schedule
+				ticksLeft -= 1 + skippedTicks;
+
+				// The interval clears itself after its last tick
+				if (ticksLeft <= 0) {
+					timer.cleared = true;
+					untrack();
+				}
+
+				// Pre-schedule next tick so throws don't kill the interval
+				setTargetTime(nextTargetTime);
+				isRunning = !overlap && !timer.cleared && !isDropped;
+				schedule();
+			} else {
+				hasFired = true;
+				untrack();
+			}
+
+			if (isDropped) {
+				return;
+			}
+
+			// Now run user code — if it throws, the next tick still happens
+			let result;
+			try {
+				result = missed === 'coalesce' ? runInAsyncContext(callback, ...arguments_, skippedTicks) : runInAsyncContext(callback, ...arguments_);
+			} catch (error) {
+				finishRun();
+				handleError(error);
+				return;
+			}
+
+			if (isPromiseLike(result) && (isRunning || onError !== undefined)) {
+				waitForRun(result);
+			} else {
+				finishRun();
+			}
+		};
+
+		const handleError = error => {
+			publishEvent('error', {error});
+			handleTimerError(error, timer, onError);
+		};
+
+		const waitForRun = async promise => {
+			try {
+				await promise;
+			} catch (error) {
+				handleError(error);
+			} finally {
+				finishRun();
+			}
+		};
+
+		const finishRun = () => {
+			if (isRunning) {
+				isRunning = false;
+				schedule();
+			}
+		};
+
+		const schedule = () => {
+			if (timer.cleared) {
+				return;
+			}
+
+			if (targetTime > untilTime) {
+				timer.cleared = true;
+				disarm();
+				untrack();
+				return;
 			}
+
+			if (isRunning || timer.paused || !Number.isFinite(targetTime)) {
+				return;
+			}
+
+			// Re-plan from the target on every chunk, as chunks can fire late (event loop stalls, system suspend) and the wall clock can jump
+			const remaining = Math.max(0, getScheduledTime() - now());
+
+			const onTarget = () => {
+				if (timer.cleared) {
+					return;
+				}
+
+				unwatchWallClock(replan);
+
+				// Native timers follow the monotonic clock, so the wall-clock target may not have been reached yet (for example, the system clock was set back)
+				if (clock === 'wall' && now() < getScheduledTime()) {
+					schedule();
+					return;
+				}
+
+				fire();
+			};
+
+			// Round up to the end of the window, so all timers in it fire together, and never early
+			const bucketTime = tolerance > 0 ? Math.ceil(getScheduledTime() / tolerance) * tolerance : undefined;
+
+			if (bucketTime !== undefined && bucketTime - now() <= MAX_TIMEOUT) {
+				bucketMembership = joinBucket(`${clock}:${bucketTime}`, Math.max(0, bucketTime - now()), {
+					callback() {
+						bucketMembership = undefined;
+						onTarget();
+					},
+					hasRef: timer.hasRef,
+				});
+			} else if (remaining <= MAX_TIMEOUT) {
+				// Final timeout - execute callback
+				arm(onTarget, remaining);
+			} else {
+				// Schedule next chunk
+				arm(() => {
+					publishEvent('chunk');
+					schedule();
+				}, MAX_TIMEOUT);
+			}
+
+			if (isWatchingWallClock) {
+				watchWallClock(replan);
+			}
+		};
+
+		// Tear down the current chunk and re-plan from a new target, keeping the handle and its ref/unref state
+		const restart = newDelay => {
+			// A fired timeout no longer listens for aborts, so check the signal too
+			if (timer.cleared || signal?.aborted) {
+				return;
+			}
+
+			delay = newDelay;
+
+			// A paused timer stays paused, with the new delay as the remaining time
+			if (timer.paused) {
+				pausedRemaining = delay;
+				return;
+			}
+
+			disarm();
+			hasFired = false;
+			track();
+			setTargetTime(now() + delay);
+			schedule();
+			publishEvent('scheduled');
+		};
+
+		// An already aborted signal means the timer never starts
+		if (signal?.aborted) {
+			timer.cleared = true;
+			return timer;
+		}
+
+		track();
+		schedule();
+		publishEvent('scheduled');
+
+		return timer;
+	};
+
+	const setTimeout = (callback, delayOrOptions, ...arguments_) => {
+		validateCallback(callback);
+		const {
+			delay,
+			clock,
+			strict,
+			jitter,
+			onError,
+			label,
+			signal,
+			tolerance,
+		} = normalizeOptions(delayOrOptions, clocks.wall);
+
+		return startTimer({
+			callback,
+			arguments_,
+			delay,
+			clock,
+			strict,
+			jitter,
+			onError,
+			label,
+			signal,
+			tolerance,
+			kind: 'timeout',
+		});
+	};
+
+	const setTimeoutAt = (date, callback, ...arguments_) => {
+		validateCallback(callback);
+
+		return startTimer({
+			callback,
+			arguments_,
+			targetTime: toTimestamp(date),
+			clock: 'wall',
+			kind: 'timeout',
+		});
+	};
+
+	const setInterval = (callback, delayOrOptions, ...arguments_) => {
+		validateCallback(callback);
+		const {
+			delay,
+			clock,
+			strict,
+			jitter,
+			missed,
+			overlap,
+			onError,
+			count,
+			until,
+			label,
+			signal,
+			tolerance,
+		} = normalizeOptions(delayOrOptions, clocks.wall);
+
+		return startTimer({
+			callback,
+			arguments_,
+			delay,
+			clock,
+			strict,
+			jitter,
+			missed,
+			overlap,
+			onError,
+			count,
+			until,
+			label,
+			signal,
+			tolerance,
+			kind: 'interval',
+			isInterval: true,
+		});
+	};
+
+	const schedule = (expression, callback, {timezone, label, signal} = {}) => {
+		const cron = parseCron(expression);
+		validateCallback(callback);
+		validateLabel(label);
+		validateSignal(signal);
+
+		// Re-plan from the current wall-clock time after every run
+		const getNextTargetTime = () => getNextCronTime(cron, clocks.wall(), timezone);
+		const targetTime = getNextTargetTime();
+
+		// A timer that never fires would stay in the registry forever, and is most likely a mistake, like February 30th
+		if (targetTime === Number.POSITIVE_INFINITY) {
+			throw new TypeError(`The cron expression \`${expression}\` never matches`);
 		}
+
+		return startTimer({
+			callback,
+			arguments_: [],
+			targetTime,
+			clock: 'wall',
+			label,
+			signal,
+			kind: 'cron',
+			isInterval: true,
+			getNextTargetTime,
+		});
 	};
 
-	schedule(delay);
+	const setCalendarInterval = (step, callback, {
+		timezone,
+		anchor,
+		label,
+		signal,
+	} = {}) => {
+		step = parseCalendarStep(step);
+		validateCallback(callback);
+		validateLabel(label);
+		validateSignal(signal);
+
+		const anchorTime = anchor === undefined ? clocks.wall() : toTimestamp(anchor);
+		let count = 0;
+
+		// Re-plan from the current wall-clock time after every run, skipping steps that already passed
+		const getNextTargetTime = () => {
+			const now = clocks.wall();
+
+			// Skip ahead close to the current time without walking through every step since the anchor
+			const estimatedCount = Math.floor((now - anchorTime) / getApproximateStepLength(step)) - 1;
+			count = Math.max(count, estimatedCount);
+
+			let targetTime = addCalendarSteps(anchorTime, step, count, timezone);
+			while (targetTime <= now) {
+				count++;
+				targetTime = addCalendarSteps(anchorTime, step, count, timezone);
+			}
 
-	return interval;
-}
+			return targetTime;
+		};
+
+		return startTimer({
+			callback,
+			arguments_: [],
+			targetTime: getNextTargetTime(),
+			clock: 'wall',
+			label,
+			signal,
+			kind: 'calendar',
+			isInterval: true,
+			getNextTargetTime,
+		});
+	};
 
-export function clearInterval(interval) {
-	if (!interval || typeof interval !== 'object' || !interval[brandSymbol]) {
-		return;
-	}
+	return {
+		setTimeout,
+		setTimeoutAt,
+		clearTimeout,
+		setInterval,
+		clearInterval,
+		schedule,
+		setCalendarInterval,
+	};
+}
 
-	interval.cleared = true;
+const timers = createTimers();
+
+export const {
+	setTimeout,
+	setTimeoutAt,
+	setInterval,
+	schedule,
+	setCalendarInterval,
+} = timers;
+
+// Like the native `setTimeout()` in Node.js, so `util.promisify(setTimeout)` keeps working after `install()`
+setTimeout[Symbol.for('nodejs.util.promisify.custom')] = setTimeoutPromise;
+
+export function install() {
+	replaceGlobals({
+		setTimeout,
+		setInterval,
+		clearTimeout,
+		clearInterval,
+	});
+}
 
-	if (interval.id !== undefined) {
-		globalThis.clearTimeout(interval.id);
-		interval.id = undefined;
-	}
+export function uninstall() {
+	restoreGlobals();
 }
+
+export {MAX_TIMEOUT} from './utilities.js';
+export {createVirtualClock} from './virtual-clock.js';
+export {parseDelay} from './parse-delay.js';
+export {
+	enableRegistry,
+	disableRegistry,
+	getActiveTimers,
+	clearAll,
+} from './registry.js';
+export {createScheduler} from './scheduler.js';
+export {subscribe} from './diagnostics.js';
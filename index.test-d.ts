@@ -1,13 +1,42 @@
 /* eslint-disable @typescript-eslint/no-empty-function */
-import {expectType} from 'tsd';
+import {expectType, expectError} from 'tsd';
+import {
+	serialize,
+	restore,
+	createFileStorage,
+	createPersistentTimers,
+	type Descriptor,
+	type PersistentTimers,
+	type Storage,
+} from './persist.js';
+import {setTimeout as setTimeoutPromise, setInterval as setIntervalPromise} from './promises.js';
 import {
 	setTimeout,
+	setTimeoutAt,
 	clearTimeout,
 	setInterval,
 	clearInterval,
+	schedule,
+	setCalendarInterval,
+	createTimers,
+	createVirtualClock,
+	parseDelay,
+	enableRegistry,
+	disableRegistry,
+	getActiveTimers,
+	clearAll,
+	install,
+	uninstall,
+	createScheduler,
+	subscribe,
 	MAX_TIMEOUT,
 	type Timeout,
+	type Timers,
+	type VirtualClock,
 	type TimerHandle,
+	type ScheduledTimeout,
+	type TimerEvent,
+	type TimerEventMessage,
 } from './index.js';
 
 // eslint-disable-next-line unicorn/numeric-separators-style
@@ -18,8 +47,16 @@ const timeout = setTimeout(() => {}, 1000);
 expectType<Timeout>(timeout);
 expectType<TimerHandle | undefined>(timeout.id);
 expectType<boolean>(timeout.cleared);
+expectType<number>(timeout.targetTime);
+expectType<number>(timeout.remaining);
+expectType<boolean>(timeout.hasRef());
 expectType<Timeout>(timeout.ref());
 expectType<Timeout>(timeout.unref());
+expectType<Timeout>(timeout.refresh());
+expectType<Timeout>(timeout.reschedule(1000));
+expectType<boolean>(timeout.paused);
+expectType<Timeout>(timeout.pause());
+expectType<Timeout>(timeout.resume());
 
 // SetTimeout with arguments
 expectType<Timeout>(setTimeout((name: string, count: number) => {}, 1000, 'test', 42));
@@ -33,6 +70,16 @@ expectType<Timeout>(setTimeout(() => {}, 30 * 24 * 60 * 60 * 1000));
 // SetTimeout with Infinity
 expectType<Timeout>(setTimeout(() => {}, Infinity));
 
+// SetTimeout with options
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, clock: 'wall'}));
+expectType<Timeout>(setTimeout((name: string) => {}, {delay: 1000}, 'test'));
+expectError(setTimeout(() => {}, {clock: 'unicorn'}));
+
+// SetTimeoutAt
+expectType<Timeout>(setTimeoutAt(new Date(), () => {}));
+expectType<Timeout>(setTimeoutAt(Date.now() + 1000, () => {}));
+expectType<Timeout>(setTimeoutAt('2027-01-01T00:00Z', (name: string) => {}, 'test'));
+
 // ClearTimeout
 clearTimeout(timeout);
 clearTimeout(undefined);
@@ -43,8 +90,16 @@ const interval = setInterval(() => {}, 1000);
 expectType<Timeout>(interval);
 expectType<TimerHandle | undefined>(interval.id);
 expectType<boolean>(interval.cleared);
+expectType<number>(interval.targetTime);
+expectType<number>(interval.remaining);
+expectType<boolean>(interval.hasRef());
 expectType<Timeout>(interval.ref());
 expectType<Timeout>(interval.unref());
+expectType<Timeout>(interval.refresh());
+expectType<Timeout>(interval.reschedule(1000));
+expectType<boolean>(interval.paused);
+expectType<Timeout>(interval.pause());
+expectType<Timeout>(interval.resume());
 
 // SetInterval with arguments
 expectType<Timeout>(setInterval((message: string, enabled: boolean) => {}, 1000, 'test', true));
@@ -58,7 +113,165 @@ expectType<Timeout>(setInterval(() => {}, 30 * 24 * 60 * 60 * 1000));
 // SetInterval with Infinity
 expectType<Timeout>(setInterval(() => {}, Infinity));
 
+// SetInterval with options
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, clock: 'monotonic'}));
+
 // ClearInterval
 clearInterval(interval);
 clearInterval(undefined);
 clearInterval(null);
+
+// Promises setTimeout
+expectType<Promise<void>>(setTimeoutPromise(1000));
+expectType<Promise<string>>(setTimeoutPromise(1000, 'unicorn'));
+expectType<Promise<number>>(setTimeoutPromise(1000, 1, {signal: new AbortController().signal, ref: false}));
+
+// Promises setInterval
+expectType<AsyncGenerator<void, void, unknown>>(setIntervalPromise(1000));
+expectType<AsyncGenerator<string, void, unknown>>(setIntervalPromise(1000, 'unicorn', {signal: new AbortController().signal}));
+
+// CreateTimers
+expectType<Timers>(createTimers());
+const virtualClock = createVirtualClock({now: 0});
+expectType<VirtualClock>(virtualClock);
+const virtualTimers = createTimers(virtualClock);
+expectType<Timeout>(virtualTimers.setTimeout(() => {}, 1000));
+expectType<Timeout>(virtualTimers.setInterval(() => {}, {delay: 1000}));
+expectType<Timers>(createTimers({now: () => 0, setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout}));
+expectType<void>(virtualClock.tick(1000));
+expectType<void>(virtualClock.runAll());
+expectType<number>(virtualClock.pendingCount);
+
+// Persist
+const descriptor = serialize(timeout, {name: 'job', arguments: [1]});
+expectType<Descriptor>(descriptor);
+expectType<Timeout>(restore(descriptor, {job() {}}));
+expectType<Timeout>(restore(descriptor, new Map([['job', (id: number) => {}]])));
+expectType<Storage>(createFileStorage('timers.json'));
+const persistentTimers = createPersistentTimers({storage: 'timers.json', jobs: {job() {}}});
+createPersistentTimers({
+	storage: 'timers.json',
+	jobs: {job() {}},
+	onError(error) {
+		expectType<unknown>(error);
+	},
+});
+expectType<PersistentTimers>(persistentTimers);
+expectType<Promise<Timeout[]>>(persistentTimers.restore());
+expectType<Promise<Timeout>>(persistentTimers.setTimeout('job', 1000, 1));
+expectType<Promise<Timeout>>(persistentTimers.setTimeout('job', '45 days'));
+expectType<Promise<void>>(persistentTimers.clearTimeout(timeout));
+
+// Schedule
+expectType<Timeout>(schedule('0 0 1 1 *', () => {}));
+expectType<Timeout>(schedule('@monthly', () => {}, {timezone: 'Europe/Oslo'}));
+expectType<Timeout>(virtualTimers.schedule('0 0 * * *', () => {}));
+
+// SetCalendarInterval
+expectType<Timeout>(setCalendarInterval({months: 1}, () => {}));
+expectType<Timeout>(setCalendarInterval({days: 1, hours: 12}, () => {}, {timezone: 'Europe/Oslo', anchor: new Date()}));
+expectError(setCalendarInterval({fortnights: 1}, () => {}));
+
+// Durations
+expectType<Timeout>(setTimeout(() => {}, '3 months'));
+expectType<Timeout>(setTimeout(() => {}, {days: 90}));
+expectType<Timeout>(setTimeout(() => {}, {delay: 'PT36H', clock: 'wall'}));
+expectType<Timeout>(setInterval(() => {}, {weeks: 1}));
+expectType<Timeout>(setTimeout(() => {}, 1000).reschedule('1 day'));
+expectType<number>(parseDelay('1y 2d'));
+expectType<number>(parseDelay({hours: 36}, {now: Date.now()}));
+expectError(parseDelay('1 day', {now: new Date()}));
+
+// Strict mode
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, strict: true}));
+expectType<Timeout>(setInterval(() => {}, {delay: '1 day', strict: true}));
+expectError(setTimeout(() => {}, {delay: 1000, strict: 'yes'}));
+
+// Jitter
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, jitter: 100}));
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, jitter: {fraction: 0.1}}));
+expectError(setTimeout(() => {}, {delay: 1000, jitter: '100'}));
+
+// Missed ticks
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, missed: 'skip'}));
+expectType<Timeout>(setInterval((skippedTicks: number) => {}, {delay: 1000, missed: 'coalesce'}));
+expectType<Timeout>(setInterval((name: string, skippedTicks: number) => {}, {delay: 1000, missed: 'coalesce'}, 'billing'));
+expectError(setInterval(() => {}, {delay: 1000, missed: 'drop'}));
+
+// Errors and overlap
+expectType<Timeout>(setInterval(async () => {}, {delay: 1000, overlap: false}));
+expectType<Timeout>(setTimeout(() => {}, {
+	delay: 1000,
+	onError(error, timeout) {
+		expectType<unknown>(error);
+		expectType<Timeout>(timeout);
+	},
+}));
+expectType<Timers>(createTimers({onError() {}}));
+expectError(setInterval(() => {}, {delay: 1000, overlap: 'no'}));
+
+// Count and until
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, count: 12}));
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, until: new Date()}));
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, until: '2030-01-01'}));
+expectType<number>(setInterval(() => {}, 1000).ticksRemaining);
+expectError(setInterval(() => {}, {delay: 1000, count: '12'}));
+
+// Registry
+enableRegistry();
+disableRegistry();
+expectType<Timeout[]>(getActiveTimers());
+expectType<Timeout[]>(getActiveTimers({label: 'reminders'}));
+expectType<number>(clearAll({label: 'reminders'}));
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, label: 'reminders'}));
+expectType<Timeout>(schedule('@daily', () => {}, {label: 'reports'}));
+expectType<Timeout>(setCalendarInterval({months: 1}, () => {}, {label: 'billing'}));
+expectType<string | undefined>(setTimeout(() => {}, 1000).label);
+expectType<'timeout' | 'interval' | 'cron' | 'calendar'>(setTimeout(() => {}, 1000).kind);
+expectError(clearAll({label: 1}));
+
+// Abort signal
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, signal: new AbortController().signal}));
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, signal: AbortSignal.timeout(1000)}));
+expectType<Timeout>(schedule('@daily', () => {}, {signal: new AbortController().signal}));
+expectType<Timeout>(setCalendarInterval({days: 1}, () => {}, {signal: new AbortController().signal}));
+expectError(setTimeout(() => {}, {delay: 1000, signal: true}));
+
+// Tolerance
+expectType<Timeout>(setTimeout(() => {}, {delay: 1000, tolerance: 100}));
+expectType<Timeout>(setInterval(() => {}, {delay: 1000, tolerance: 100}));
+expectError(setTimeout(() => {}, {delay: 1000, tolerance: '100'}));
+
+// Native interop
+clearTimeout(globalThis.setTimeout(() => {}, 1000));
+clearInterval(globalThis.setInterval(() => {}, 1000));
+clearTimeout(undefined);
+install();
+uninstall();
+
+// Explicit resource management and primitive IDs
+expectType<void>(timeout[Symbol.dispose]());
+expectType<number>(timeout[Symbol.toPrimitive]());
+clearTimeout(Number(timeout));
+clearInterval(String(timeout));
+
+// Diagnostics
+const unsubscribe = subscribe('fired', (message, event) => {
+	expectType<TimerEventMessage>(message);
+	expectType<TimerEvent>(event);
+	expectType<number>(message.lateness);
+	expectType<string | undefined>(message.label);
+});
+expectType<() => void>(unsubscribe);
+expectError(subscribe('started', () => {}));
+
+// Scheduler
+const scheduler = createScheduler({onError() {}});
+const scheduled = scheduler.setTimeout((id: string) => {}, '30 days', 'user');
+expectType<ScheduledTimeout>(scheduled);
+expectType<ScheduledTimeout>(scheduler.setTimeout(() => {}, {delay: 1000, strict: true}));
+expectType<number>(scheduler.size);
+expectType<number>(scheduled.remaining);
+expectType<ScheduledTimeout>(scheduled.unref());
+scheduler.clearTimeout(scheduled);
+expectError(scheduler.setTimeout(() => {}, {delay: 1000, jitter: 100}));
@@ -0,0 +1,794 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	setTimeout,
+	setInterval,
+	schedule,
+	createTimers,
+	createVirtualClock,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('strict - throws on invalid delays', () => {
+	const cases = [
+		[Number.NaN, TypeError, /got `NaN`/],
+		[undefined, TypeError, /got `undefined`/],
+		[null, TypeError, /got `object`/],
+		[true, TypeError, /got `boolean`/],
+		['50', TypeError, /Invalid duration/],
+		['abc', TypeError, /Invalid duration/],
+		[-1, RangeError, /got `-1`/],
+		[Number.NEGATIVE_INFINITY, RangeError, /got `-Infinity`/],
+		[{days: -1}, RangeError, /non-negative/],
+	];
+
+	for (const [delay, name, message] of cases) {
+		assert.throws(() => {
+			setTimeout(() => {}, {delay, strict: true});
+		}, {name: name.name, message});
+
+		assert.throws(() => {
+			setInterval(() => {}, {delay, strict: true});
+		}, {name: name.name, message});
+	}
+});
+
+test('strict - accepts valid delays', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	assert.equal(timers.setTimeout(() => {}, {delay: 0, strict: true}).remaining, 0);
+	assert.equal(timers.setTimeout(() => {}, {delay: 1000, strict: true}).remaining, 1000);
+	assert.equal(timers.setTimeout(() => {}, {delay: '2 days', strict: true}).remaining, 2 * DAY);
+	assert.equal(timers.setTimeout(() => {}, {delay: Number.POSITIVE_INFINITY, strict: true}).remaining, Number.POSITIVE_INFINITY);
+});
+
+test('strict - applies to reschedule', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {}, {delay: 1000, strict: true});
+	assert.throws(() => timeout.reschedule(-5), RangeError);
+	assert.equal(timeout.remaining, 1000);
+
+	timeout.reschedule(2000);
+	assert.equal(timeout.remaining, 2000);
+	timers.clearTimeout(timeout);
+
+	// Without strict mode, invalid delays are still coerced
+	const lenient = timers.setTimeout(() => {}, 1000);
+	lenient.reschedule(-5);
+	assert.equal(lenient.remaining, 0);
+	timers.clearTimeout(lenient);
+});
+
+test('strict - throws on a non-boolean value', () => {
+	assert.throws(() => {
+		setTimeout(() => {}, {delay: 1000, strict: 'yes'});
+	}, {name: 'TypeError', message: 'Expected `strict` to be a boolean'});
+});
+
+const withRandom = (values, function_) => {
+	const originalRandom = Math.random;
+	let index = 0;
+	Math.random = () => values[index++ % values.length];
+
+	try {
+		function_();
+	} finally {
+		Math.random = originalRandom;
+	}
+};
+
+test('jitter - moves a timeout by up to the given milliseconds', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	withRandom([0, 0.5, 1], () => {
+		assert.equal(timers.setTimeout(() => {}, {delay: 10_000, jitter: 1000}).targetTime, 9000);
+		assert.equal(timers.setTimeout(() => {}, {delay: 10_000, jitter: 1000}).targetTime, 10_000);
+		assert.equal(timers.setTimeout(() => {}, {delay: 10_000, jitter: 1000}).targetTime, 11_000);
+	});
+});
+
+test('jitter - moves a timeout by up to a fraction of the delay', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let firedAt;
+
+	withRandom([0.75], () => {
+		const timeout = timers.setTimeout(() => {
+			firedAt = clock.now();
+		}, {delay: 30 * DAY, jitter: {fraction: 0.1}});
+
+		assert.equal(timeout.remaining, 31.5 * DAY);
+	});
+
+	clock.runAll();
+	assert.equal(firedAt, 31.5 * DAY);
+});
+
+test('jitter - is never earlier than now', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	withRandom([0], () => {
+		assert.equal(timers.setTimeout(() => {}, {delay: 100, jitter: 1000}).targetTime, 0);
+	});
+});
+
+test('jitter - re-applies to every interval tick without drifting', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	withRandom([0, 1, 0.5, 0.25], () => {
+		const interval = timers.setInterval(() => {
+			ticks.push(clock.now());
+		}, {delay: 10 * DAY, jitter: DAY});
+
+		clock.tick(45 * DAY);
+		timers.clearInterval(interval);
+	});
+
+	assert.deepEqual(ticks, [9 * DAY, 21 * DAY, 30 * DAY, 39.5 * DAY]);
+});
+
+test('jitter - is re-applied on refresh and kept across pause', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	withRandom([1, 0], () => {
+		const timeout = timers.setTimeout(() => {}, {delay: 10_000, jitter: 1000});
+		assert.equal(timeout.targetTime, 11_000);
+
+		timeout.pause();
+		clock.tick(5000);
+		timeout.resume();
+		assert.equal(timeout.targetTime, 16_000);
+
+		timeout.refresh();
+		assert.equal(timeout.targetTime, 14_000);
+		timers.clearTimeout(timeout);
+	});
+});
+
+test('jitter - throws on invalid values', () => {
+	for (const jitter of [-1, Number.NaN, Number.POSITIVE_INFINITY, '100', {}, {fraction: 2}, {fraction: -0.1}]) {
+		assert.throws(() => {
+			setTimeout(() => {}, {delay: 1000, jitter});
+		}, TypeError);
+	}
+});
+
+// The first native timer fires late, as after an event loop stall or a system suspend
+const createStallingTimers = (clock, lateness) => {
+	let isFirst = true;
+
+	return createTimers({
+		...clock,
+		setTimeout(callback, delay) {
+			const extra = isFirst ? lateness : 0;
+			isFirst = false;
+			return clock.setTimeout(callback, delay + extra);
+		},
+	});
+};
+
+test('missed - bursts missed ticks by default', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createStallingTimers(clock, 3.5 * DAY);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now() / DAY);
+	}, DAY);
+
+	clock.tick(6 * DAY);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(ticks, [4.5, 4.5, 4.5, 4.5, 5, 6]);
+});
+
+test('missed - skip drops the overdue tick and stays aligned', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createStallingTimers(clock, 3.5 * DAY);
+	const calls = [];
+
+	const interval = timers.setInterval((...arguments_) => {
+		calls.push([clock.now() / DAY, ...arguments_]);
+	}, {delay: DAY, missed: 'skip'}, 'billing');
+
+	clock.tick(6 * DAY);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(calls, [[5, 'billing'], [6, 'billing']]);
+});
+
+test('missed - coalesce passes the number of skipped ticks', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createStallingTimers(clock, 3.5 * DAY);
+	const calls = [];
+
+	const interval = timers.setInterval((...arguments_) => {
+		calls.push([clock.now() / DAY, ...arguments_]);
+	}, {delay: DAY, missed: 'coalesce'}, 'billing');
+
+	clock.tick(6 * DAY);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(calls, [[4.5, 'billing', 3], [5, 'billing', 0], [6, 'billing', 0]]);
+});
+
+test('missed - skip waits for the next tick, while coalesce runs the overdue tick', () => {
+	const clock = createVirtualClock({now: 0});
+	const skipTimers = createStallingTimers(clock, 1.5 * DAY);
+	const coalesceTimers = createStallingTimers(clock, 1.5 * DAY);
+	const calls = [];
+
+	const skipping = skipTimers.setInterval(() => {
+		calls.push(['skip', clock.now() / DAY]);
+	}, {delay: DAY, missed: 'skip'});
+	const coalescing = coalesceTimers.setInterval(skippedTicks => {
+		calls.push(['coalesce', clock.now() / DAY, skippedTicks]);
+	}, {delay: DAY, missed: 'coalesce'});
+
+	clock.tick(3 * DAY);
+	skipTimers.clearInterval(skipping);
+	coalesceTimers.clearInterval(coalescing);
+
+	assert.deepEqual(calls, [
+		['coalesce', 2.5, 1],
+		['skip', 3],
+		['coalesce', 3, 0],
+	]);
+});
+
+test('missed - throws on an unknown policy', () => {
+	assert.throws(() => {
+		setInterval(() => {}, {delay: 1000, missed: 'drop'});
+	}, {name: 'TypeError', message: 'Expected `missed` to be either `burst`, `skip`, or `coalesce`'});
+});
+
+const flushPromises = () => new Promise(resolve => {
+	globalThis.setImmediate(resolve);
+});
+
+test('overlap - waits for the returned promise before scheduling the next tick', async () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const runs = [];
+	let finishRun;
+
+	const interval = timers.setInterval(() => {
+		runs.push(clock.now());
+		return new Promise(resolve => {
+			finishRun = resolve;
+		});
+	}, {delay: 1000, overlap: false, missed: 'coalesce'});
+
+	clock.tick(1000);
+	clock.tick(5000);
+	assert.deepEqual(runs, [1000]);
+	assert.equal(clock.pendingCount, 0);
+
+	finishRun();
+	await flushPromises();
+	clock.tick(0);
+	assert.deepEqual(runs, [1000, 6000]);
+
+	finishRun();
+	await flushPromises();
+	clock.tick(1000);
+	assert.deepEqual(runs, [1000, 6000, 7000]);
+
+	timers.clearInterval(interval);
+});
+
+test('overlap - overlaps by default', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let runs = 0;
+
+	const interval = timers.setInterval(() => {
+		runs++;
+		return new Promise(() => {});
+	}, 1000);
+
+	clock.tick(3000);
+	timers.clearInterval(interval);
+
+	assert.equal(runs, 3);
+});
+
+test('overlap - can be cleared while running', async () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let finishRun;
+
+	const interval = timers.setInterval(() => new Promise(resolve => {
+		finishRun = resolve;
+	}), {delay: 1000, overlap: false});
+
+	clock.tick(1000);
+	timers.clearInterval(interval);
+	finishRun();
+	await flushPromises();
+
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('onError - receives errors thrown by the callback', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const errors = [];
+
+	const interval = timers.setInterval(() => {
+		throw new Error('Failed');
+	}, {
+		delay: 1000,
+		onError(error, timeout) {
+			errors.push([error.message, timeout]);
+		},
+	});
+
+	clock.tick(3000);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(errors, [['Failed', interval], ['Failed', interval], ['Failed', interval]]);
+});
+
+test('onError - receives rejections of the returned promise', async () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const errors = [];
+
+	timers.setTimeout(async () => {
+		throw new Error('Rejected');
+	}, {
+		delay: 1000,
+		onError(error) {
+			errors.push(error.message);
+		},
+	});
+
+	clock.tick(1000);
+	await flushPromises();
+
+	assert.deepEqual(errors, ['Rejected']);
+});
+
+test('onError - keeps a non-overlapping interval running after a rejection', async () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const errors = [];
+	let runs = 0;
+
+	const interval = timers.setInterval(async () => {
+		runs++;
+		throw new Error('Rejected');
+	}, {
+		delay: 1000,
+		overlap: false,
+		onError(error) {
+			errors.push(error.message);
+		},
+	});
+
+	clock.tick(1000);
+	await flushPromises();
+	clock.tick(1000);
+	await flushPromises();
+	timers.clearInterval(interval);
+
+	assert.equal(runs, 2);
+	assert.deepEqual(errors, ['Rejected', 'Rejected']);
+});
+
+test('onError - defaults to the createTimers option', () => {
+	const clock = createVirtualClock({now: 0});
+	const defaultErrors = [];
+	const timerErrors = [];
+	const timers = createTimers({
+		...clock,
+		onError(error) {
+			defaultErrors.push(error.message);
+		},
+	});
+
+	timers.setTimeout(() => {
+		throw new Error('Default');
+	}, 1000);
+
+	timers.setTimeout(() => {
+		throw new Error('Own');
+	}, {
+		delay: 1000,
+		onError(error) {
+			timerErrors.push(error.message);
+		},
+	});
+
+	clock.tick(1000);
+
+	assert.deepEqual(defaultErrors, ['Default']);
+	assert.deepEqual(timerErrors, ['Own']);
+});
+
+test('onError - errors are rethrown without a handler', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let runs = 0;
+
+	const interval = timers.setInterval(() => {
+		runs++;
+		throw new Error('Failed');
+	}, {delay: 1000, overlap: false});
+
+	assert.throws(() => {
+		clock.tick(1000);
+	}, /Failed/);
+
+	// The next tick is still scheduled
+	assert.throws(() => {
+		clock.tick(1000);
+	}, /Failed/);
+
+	timers.clearInterval(interval);
+	assert.equal(runs, 2);
+});
+
+test('onError - throws on invalid options', () => {
+	assert.throws(() => setTimeout(() => {}, {delay: 1000, onError: 'log'}), {name: 'TypeError', message: 'Expected `onError` to be a function'});
+	assert.throws(() => setInterval(() => {}, {delay: 1000, overlap: 'no'}), {name: 'TypeError', message: 'Expected `overlap` to be a boolean'});
+	assert.throws(() => createTimers({onError: 'log'}), {name: 'TypeError', message: 'Expected `onError` to be a function'});
+});
+
+test('count - clears the interval after the last tick', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now() / DAY);
+	}, {delay: 30 * DAY, count: 3});
+
+	assert.equal(interval.ticksRemaining, 3);
+	clock.tick(30 * DAY);
+	assert.equal(interval.ticksRemaining, 2);
+
+	clock.runAll();
+
+	assert.deepEqual(ticks, [30, 60, 90]);
+	assert.equal(interval.cleared, true);
+	assert.equal(interval.ticksRemaining, 0);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('count - counts skipped ticks', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createStallingTimers(clock, 3.5 * DAY);
+	const ticks = [];
+
+	timers.setInterval(() => {
+		ticks.push(clock.now() / DAY);
+	}, {delay: DAY, count: 6, missed: 'skip'});
+
+	clock.runAll();
+
+	assert.deepEqual(ticks, [5, 6]);
+});
+
+test('until - clears the interval after the end time', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now() / DAY);
+	}, {delay: 60 * DAY, until: new Date(200 * DAY)});
+
+	assert.equal(interval.ticksRemaining, 3);
+	clock.runAll();
+
+	assert.deepEqual(ticks, [60, 120, 180]);
+	assert.equal(interval.cleared, true);
+	assert.equal(interval.ticksRemaining, 0);
+});
+
+test('until - runs a tick exactly at the end time', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	timers.setInterval(() => {
+		ticks.push(clock.now() / DAY);
+	}, {delay: 60 * DAY, until: 120 * DAY, clock: 'wall'});
+
+	clock.runAll();
+
+	assert.deepEqual(ticks, [60, 120]);
+});
+
+test('until - never ticks when the end time is before the first tick', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const interval = timers.setInterval(() => {
+		calls++;
+	}, {delay: 60 * DAY, until: new Date(DAY).toISOString()});
+
+	clock.runAll();
+
+	assert.equal(calls, 0);
+	assert.equal(interval.cleared, true);
+	assert.equal(interval.ticksRemaining, 0);
+});
+
+test('until - keeps a jittered last tick before the end time', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	withRandom([1], () => {
+		timers.setInterval(() => {
+			ticks.push(clock.now() / DAY);
+		}, {delay: 10 * DAY, jitter: DAY, until: 20 * DAY});
+
+		clock.runAll();
+	});
+
+	assert.deepEqual(ticks, [11, 20]);
+});
+
+test('ticksRemaining - is Infinity for unbounded intervals and 1 for timeouts', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const interval = timers.setInterval(() => {}, 1000);
+	assert.equal(interval.ticksRemaining, Number.POSITIVE_INFINITY);
+	timers.clearInterval(interval);
+
+	const timeout = timers.setTimeout(() => {}, 1000);
+	assert.equal(timeout.ticksRemaining, 1);
+	clock.tick(1000);
+	assert.equal(timeout.ticksRemaining, 0);
+});
+
+test('count - throws on invalid values', () => {
+	for (const count of [0, -1, 1.5, Number.NaN, '12']) {
+		assert.throws(() => setInterval(() => {}, {delay: 1000, count}), {name: 'TypeError', message: 'Expected `count` to be a positive integer'});
+	}
+
+	assert.throws(() => setInterval(() => {}, {delay: 1000, until: 'tomorrow'}), TypeError);
+});
+
+test('signal - clears the timer when aborted', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const controller = new AbortController();
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, {delay: 60 * DAY, signal: controller.signal});
+
+	clock.tick(30 * DAY);
+	controller.abort();
+
+	assert.equal(timeout.cleared, true);
+	assert.equal(clock.pendingCount, 0);
+
+	clock.tick(60 * DAY);
+	assert.equal(calls, 0);
+});
+
+test('signal - clears intervals, cron schedules, and calendar intervals', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const controller = new AbortController();
+	const {signal} = controller;
+
+	const handles = [
+		timers.setInterval(() => {}, {delay: DAY, signal}),
+		timers.schedule('@daily', () => {}, {timezone: 'UTC', signal}),
+		timers.setCalendarInterval({days: 1}, () => {}, {timezone: 'UTC', signal}),
+	];
+
+	clock.tick(3 * DAY);
+	controller.abort();
+
+	assert.deepEqual(handles.map(handle => handle.cleared), [true, true, true]);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('signal - does not start the timer when already aborted', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, {delay: 1000, signal: AbortSignal.abort()});
+
+	clock.tick(2000);
+	timeout.refresh();
+	clock.tick(2000);
+
+	assert.equal(calls, 0);
+	assert.equal(timeout.cleared, true);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('signal - removes the abort listener once the timer is done', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const listeners = new Set();
+	const signal = {
+		aborted: false,
+		addEventListener(type, listener) {
+			listeners.add(listener);
+		},
+		removeEventListener(type, listener) {
+			listeners.delete(listener);
+		},
+	};
+
+	timers.setTimeout(() => {}, {delay: 1000, signal});
+	timers.setInterval(() => {}, {delay: 1000, count: 2, signal});
+	const cleared = timers.setInterval(() => {}, {delay: 1000, signal});
+	assert.equal(listeners.size, 3);
+
+	clock.tick(1000);
+	assert.equal(listeners.size, 2);
+
+	clock.tick(1000);
+	assert.equal(listeners.size, 1);
+
+	timers.clearInterval(cleared);
+	assert.equal(listeners.size, 0);
+});
+
+test('signal - throws on an invalid signal', () => {
+	assert.throws(() => setTimeout(() => {}, {delay: 1000, signal: true}), {name: 'TypeError', message: 'Expected `signal` to be an AbortSignal'});
+	assert.throws(() => schedule('@daily', () => {}, {signal: {}}), {name: 'TypeError', message: 'Expected `signal` to be an AbortSignal'});
+});
+
+test('tolerance - runs timers due in the same window with one native timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const calls = [];
+
+	timers.setTimeout(() => calls.push(['a', clock.now()]), {delay: 1200, tolerance: 1000});
+	timers.setTimeout(() => calls.push(['b', clock.now()]), {delay: 1900, tolerance: 1000});
+	timers.setTimeout(() => calls.push(['c', clock.now()]), {delay: 2100, tolerance: 1000});
+	assert.equal(clock.pendingCount, 2);
+
+	clock.tick(1999);
+	assert.deepEqual(calls, []);
+
+	clock.tick(1);
+	assert.deepEqual(calls, [['a', 2000], ['b', 2000]]);
+	assert.equal(clock.pendingCount, 1);
+
+	clock.tick(1000);
+	assert.deepEqual(calls, [['a', 2000], ['b', 2000], ['c', 3000]]);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('tolerance - shares one native timer between wall-clock timers', () => {
+	const originalDateNow = Date.now;
+	const originalPerformanceNow = performance.now;
+	const delays = [];
+
+	Date.now = () => 0;
+	performance.now = () => 0;
+
+	try {
+		const timers = createTimers({
+			setTimeout(callback, delay) {
+				delays.push(delay);
+				return {};
+			},
+			clearTimeout() {},
+		});
+
+		const first = timers.setTimeout(() => {}, {delay: 19.5 * DAY, clock: 'wall', tolerance: DAY});
+		const second = timers.setTimeout(() => {}, {delay: 19.8 * DAY, clock: 'wall', tolerance: DAY});
+
+		// One native timer for the window, and one shared check of the wall clock
+		assert.deepEqual(delays, [20 * DAY, 60 * 1000]);
+
+		timers.clearTimeout(first);
+		timers.clearTimeout(second);
+	} finally {
+		Date.now = originalDateNow;
+		performance.now = originalPerformanceNow;
+	}
+});
+
+test('tolerance - never runs early and keeps intervals on schedule', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const calls = [];
+
+	const interval = timers.setInterval(() => calls.push(clock.now()), {delay: 1500, tolerance: 1000});
+
+	clock.tick(6000);
+	assert.deepEqual(calls, [2000, 3000, 5000, 6000]);
+	assert.equal(interval.targetTime, 7500);
+});
+
+test('tolerance - leaves the window when cleared', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const first = timers.setTimeout(() => {
+		calls++;
+	}, {delay: 100, tolerance: 1000});
+	const second = timers.setTimeout(() => {
+		calls++;
+	}, {delay: 200, tolerance: 1000});
+
+	timers.clearTimeout(first);
+	assert.equal(clock.pendingCount, 1);
+
+	timers.clearTimeout(second);
+	assert.equal(clock.pendingCount, 0);
+
+	clock.tick(1000);
+	assert.equal(calls, 0);
+});
+
+test('tolerance - only keeps the event loop alive while a timer in the window is referenced', () => {
+	const nativeTimer = {
+		isReferenced: true,
+		ref() {
+			this.isReferenced = true;
+		},
+		unref() {
+			this.isReferenced = false;
+		},
+	};
+	const timers = createTimers({
+		now: () => 0,
+		setTimeout: () => nativeTimer,
+		clearTimeout() {},
+	});
+
+	const first = timers.setTimeout(() => {}, {delay: 100, tolerance: 1000});
+	const second = timers.setTimeout(() => {}, {delay: 200, tolerance: 1000});
+
+	first.unref();
+	assert.equal(nativeTimer.isReferenced, true);
+
+	second.unref();
+	assert.equal(nativeTimer.isReferenced, false);
+
+	first.ref();
+	assert.equal(nativeTimer.isReferenced, true);
+});
+
+test('tolerance - runs the other timers in the window when a callback throws', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	timers.setTimeout(() => {
+		throw new Error('first');
+	}, {delay: 100, tolerance: 1000});
+	timers.setTimeout(() => {
+		calls++;
+	}, {delay: 200, tolerance: 1000});
+
+	assert.throws(() => clock.tick(1000), {message: 'first'});
+	assert.equal(calls, 1);
+});
+
+test('tolerance - throws on invalid values', () => {
+	assert.throws(() => setTimeout(() => {}, {delay: 1000, tolerance: -1}), {name: 'TypeError', message: 'Expected `tolerance` to be a non-negative finite number'});
+	assert.throws(() => setInterval(() => {}, {delay: 1000, tolerance: Number.POSITIVE_INFINITY}), {name: 'TypeError', message: 'Expected `tolerance` to be a non-negative finite number'});
+});
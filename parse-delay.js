@@ -0,0 +1,175 @@
+import {addCalendarSteps} from './calendar.js';
+
+// Months and years have no fixed length, so they are resolved against the current date instead
+const unitLengths = {
+	milliseconds: 1,
+	seconds: 1000,
+	minutes: 60 * 1000,
+	hours: 60 * 60 * 1000,
+	days: 24 * 60 * 60 * 1000,
+	weeks: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Same as the fields of `Temporal.Duration`
+const durationFields = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds', 'microseconds', 'nanoseconds'];
+
+const unitAliases = new Map([
+	...['ms', 'msec', 'msecs', 'millisecond', 'milliseconds'].map(alias => [alias, 'milliseconds']),
+	...['s', 'sec', 'secs', 'second', 'seconds'].map(alias => [alias, 'seconds']),
+	...['m', 'min', 'mins', 'minute', 'minutes'].map(alias => [alias, 'minutes']),
+	...['h', 'hr', 'hrs', 'hour', 'hours'].map(alias => [alias, 'hours']),
+	...['d', 'day', 'days'].map(alias => [alias, 'days']),
+	...['w', 'wk', 'wks', 'week', 'weeks'].map(alias => [alias, 'weeks']),
+	...['mo', 'mos', 'month', 'months'].map(alias => [alias, 'months']),
+	...['y', 'yr', 'yrs', 'year', 'years'].map(alias => [alias, 'years']),
+]);
+
+const isoNumber = String.raw`\d+(?:[.,]\d+)?`;
+const isoDurationRegex = new RegExp([
+	'^p',
+	`(?:(?<years>${isoNumber})y)?`,
+	`(?:(?<months>${isoNumber})m)?`,
+	`(?:(?<weeks>${isoNumber})w)?`,
+	`(?:(?<days>${isoNumber})d)?`,
+	`(?:t(?:(?<hours>${isoNumber})h)?(?:(?<minutes>${isoNumber})m)?(?:(?<seconds>${isoNumber})s)?)?$`,
+].join(''), 'i');
+const humanDurationRegex = /^(?:\s*(?:,|and)?\s*\d+(?:\.\d+)?\s*[a-z]+)+\s*$/i;
+const humanPartRegex = /(?<value>\d+(?:\.\d+)?)\s*(?<unit>[a-z]+)/gi;
+
+export function isDurationLike(value) {
+	return typeof value === 'object' && value !== null && durationFields.some(field => field in value);
+}
+
+function parseDurationString(string) {
+	const trimmed = string.trim();
+	const isoMatch = isoDurationRegex.exec(trimmed);
+
+	// `P` and a trailing `T` need at least one amount after them
+	if (isoMatch && trimmed.length > 1 && !trimmed.toUpperCase().endsWith('T')) {
+		return Object.fromEntries(Object.entries(isoMatch.groups)
+			.filter(([, value]) => value !== undefined)
+			.map(([unit, value]) => [unit, Number(value.replace(',', '.'))]));
+	}
+
+	if (!humanDurationRegex.test(trimmed)) {
+		throw new TypeError(`Invalid duration \`${string}\`. Expected, for example, \`'3 months'\`, \`'1y 2d'\`, or \`'PT36H'\`.`);
+	}
+
+	const duration = {};
+
+	for (const {groups} of trimmed.matchAll(humanPartRegex)) {
+		const unit = unitAliases.get(groups.unit.toLowerCase());
+
+		if (unit === undefined) {
+			throw new TypeError(`Invalid duration \`${string}\`. Unknown unit \`${groups.unit}\`.`);
+		}
+
+		duration[unit] = (duration[unit] ?? 0) + Number(groups.value);
+	}
+
+	return duration;
+}
+
+function parseDurationObject(object) {
+	const duration = {};
+
+	for (const field of durationFields) {
+		const value = object[field] ?? 0;
+
+		if (typeof value !== 'number' || !Number.isFinite(value)) {
+			throw new TypeError(`Expected duration \`${field}\` to be a finite number`);
+		}
+
+		duration[field] = value;
+	}
+
+	duration.milliseconds += (duration.microseconds / 1000) + (duration.nanoseconds / 1_000_000);
+	delete duration.microseconds;
+	delete duration.nanoseconds;
+
+	return duration;
+}
+
+export function parseDelay(value, {now = Date.now()} = {}) {
+	if (typeof value === 'number') {
+		return value;
+	}
+
+	let duration;
+	if (typeof value === 'string') {
+		duration = parseDurationString(value);
+	} else if (isDurationLike(value)) {
+		duration = parseDurationObject(value);
+	} else {
+		throw new TypeError('Expected a duration string, a duration object, or a number');
+	}
+
+	const {years = 0, months = 0} = duration;
+
+	if (!Number.isInteger(years) || !Number.isInteger(months)) {
+		throw new TypeError('Expected `years` and `months` to be whole numbers, as their length depends on the date');
+	}
+
+	let milliseconds = 0;
+	for (const [unit, length] of Object.entries(unitLengths)) {
+		milliseconds += (duration[unit] ?? 0) * length;
+	}
+
+	if (years !== 0 || months !== 0) {
+		const step = {
+			years,
+			months,
+			weeks: 0,
+			days: 0,
+			hours: 0,
+			minutes: 0,
+			seconds: 0,
+		};
+
+		milliseconds += addCalendarSteps(now, step, 1, undefined) - now;
+	}
+
+	return milliseconds;
+}
+
+// In strict mode, delays are not coerced, so a mis-parsed delay throws instead of firing immediately
+function validateStrictDelay(delay) {
+	if (typeof delay !== 'number' || Number.isNaN(delay)) {
+		const description = typeof delay === 'number' ? 'NaN' : typeof delay;
+		throw new TypeError(`Expected delay to be a number or a duration, got \`${description}\``);
+	}
+
+	if (delay < 0) {
+		throw new RangeError(`Expected delay to be a non-negative number or \`Infinity\`, got \`${delay}\``);
+	}
+}
+
+// Returns the delay as a number of milliseconds, or `Infinity` for never
+// `getWallTime` is only called for durations with months or years, which depend on the date
+export function normalizeDelay(delay, getWallTime = Date.now, {strict = false} = {}) {
+	// Duration strings and objects, like `'3 months'` or `{days: 90}`. Numeric strings are still coerced below, except in strict mode.
+	if ((typeof delay === 'string' && (strict || Number.isNaN(Number(delay)))) || isDurationLike(delay)) {
+		delay = parseDelay(delay, {now: getWallTime()});
+	}
+
+	if (strict) {
+		validateStrictDelay(delay);
+	}
+
+	// Coerce delay to number, matching native setTimeout behavior
+	delay ??= 0;
+	delay = Number(delay);
+
+	// Treat delays beyond MAX_SAFE_INTEGER as Infinity (precision loss)
+	// and positive Infinity means wait forever (never fire)
+	if (delay === Number.POSITIVE_INFINITY || delay > Number.MAX_SAFE_INTEGER) {
+		return Number.POSITIVE_INFINITY;
+	}
+
+	// Clamp invalid values to 0 (NaN, negative numbers result in immediate firing)
+	if (!Number.isFinite(delay) || delay < 0) {
+		return 0;
+	}
+
+	return delay;
+}
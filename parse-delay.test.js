@@ -0,0 +1,99 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	createTimers,
+	createVirtualClock,
+	parseDelay,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('parseDelay - parses duration strings', () => {
+	assert.equal(parseDelay('90 days'), 90 * DAY);
+	assert.equal(parseDelay('1h30m'), 90 * 60 * 1000);
+	assert.equal(parseDelay('1d 2h'), DAY + (2 * 60 * 60 * 1000));
+	assert.equal(parseDelay('2.5 hours'), 2.5 * 60 * 60 * 1000);
+	assert.equal(parseDelay('1 week, 2 days and 500ms'), (9 * DAY) + 500);
+	assert.equal(parseDelay(' 10 Seconds '), 10_000);
+});
+
+test('parseDelay - parses ISO 8601 durations', () => {
+	assert.equal(parseDelay('PT36H'), 36 * 60 * 60 * 1000);
+	assert.equal(parseDelay('P1W'), 7 * DAY);
+	assert.equal(parseDelay('P1DT1M1.5S'), DAY + 61_500);
+	assert.equal(parseDelay('pt0,5s'), 500);
+});
+
+test('parseDelay - parses duration objects', () => {
+	assert.equal(parseDelay({days: 90}), 90 * DAY);
+	assert.equal(parseDelay({hours: 1, minutes: 30}), 90 * 60 * 1000);
+	assert.equal(parseDelay({milliseconds: 1, microseconds: 1000, nanoseconds: 1_000_000}), 3);
+
+	// Like a `Temporal.Duration`, with the fields as getters on the prototype
+	class Duration {
+		get hours() {
+			return 36;
+		}
+	}
+
+	assert.equal(parseDelay(new Duration()), 36 * 60 * 60 * 1000);
+});
+
+test('parseDelay - resolves months and years against the current date', () => {
+	const now = Date.UTC(2027, 0, 31, 12);
+
+	assert.equal(parseDelay('1 month', {now}), 28 * DAY);
+	assert.equal(parseDelay('1mo 1d', {now}), 29 * DAY);
+	assert.equal(parseDelay('P1Y', {now}), 365 * DAY);
+	assert.equal(parseDelay({years: 1}, {now: Date.UTC(2028, 0, 1, 12)}), 366 * DAY);
+});
+
+test('parseDelay - returns numbers as is', () => {
+	assert.equal(parseDelay(1000), 1000);
+});
+
+test('parseDelay - throws on malformed durations', () => {
+	for (const value of ['', 'abc', '3 monts', '5', 'P', 'PT', 'P1DT', 'PT36X', '1 and', '-1d', '1.5 months', 'P0.5Y']) {
+		assert.throws(() => parseDelay(value), TypeError, value);
+	}
+
+	assert.throws(() => parseDelay({days: '1'}), TypeError);
+	assert.throws(() => parseDelay({days: Number.NaN}), TypeError);
+	assert.throws(() => parseDelay(undefined), TypeError);
+	assert.throws(() => parseDelay(new Date()), TypeError);
+});
+
+test('setTimeout - accepts duration strings and objects', () => {
+	const clock = createVirtualClock({now: Date.UTC(2027, 0, 31, 12)});
+	const timers = createTimers(clock);
+
+	for (const delay of ['1 month', {months: 1}, 'P28D', {delay: '28 days'}, {delay: {weeks: 4}, clock: 'wall'}]) {
+		const timeout = timers.setTimeout(() => {}, delay);
+		assert.equal(timeout.remaining, 28 * DAY);
+		timers.clearTimeout(timeout);
+	}
+});
+
+test('setTimeout - still coerces numeric strings', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	assert.equal(timers.setTimeout(() => {}, '50').remaining, 50);
+	assert.equal(timers.setTimeout(() => {}, '').remaining, 0);
+	assert.equal(timers.setTimeout(() => {}, 'Infinity').remaining, Number.POSITIVE_INFINITY);
+});
+
+test('setInterval - accepts duration strings', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const interval = timers.setInterval(() => {
+		calls++;
+	}, '1 week');
+
+	clock.tick(30 * DAY);
+	timers.clearInterval(interval);
+
+	assert.equal(calls, 4);
+});
@@ -0,0 +1,163 @@
+import type {Timeout, Delay} from './index.js';
+
+/**
+A JSON-serializable description of a timer.
+*/
+export type Descriptor = {
+	/**
+	The name of the job to run, as registered in the job registry.
+	*/
+	name: string;
+
+	/**
+	The absolute wall-clock time to run the job at, in epoch milliseconds.
+	*/
+	targetTime: number;
+
+	/**
+	The arguments to pass to the job.
+	*/
+	arguments?: unknown[];
+};
+
+/**
+Maps job names to the functions to run.
+*/
+export type JobRegistry =
+	| Record<string, (...arguments_: any[]) => void>
+	| Map<string, (...arguments_: any[]) => void>;
+
+/**
+Loads and saves descriptors. Implement this to store timers in a database or key-value store.
+*/
+export type Storage = {
+	/**
+	Load all stored descriptors.
+	*/
+	load(): Promise<Descriptor[]>;
+
+	/**
+	Replace all stored descriptors.
+	*/
+	save(descriptors: Descriptor[]): Promise<void>;
+};
+
+export type SerializeOptions = {
+	/**
+	The name of the job to run when the timer is restored.
+	*/
+	readonly name: string;
+
+	/**
+	The arguments to pass to the job. They must be JSON-serializable.
+
+	@default []
+	*/
+	readonly arguments?: unknown[];
+};
+
+/**
+Serialize a timer into a JSON-serializable descriptor with the absolute wall-clock time it's due at.
+
+@param timeout - A timer created with `setTimeout()` or `setTimeoutAt()`.
+
+@example
+```
+import {setTimeout} from 'unlimited-timeout';
+import {serialize} from 'unlimited-timeout/persist';
+
+const timeout = setTimeout(sendReminder, 45 * 24 * 60 * 60 * 1000, userId);
+const descriptor = serialize(timeout, {name: 'sendReminder', arguments: [userId]});
+//=> {name: 'sendReminder', targetTime: 1790000000000, arguments: ['…']}
+```
+*/
+export function serialize(timeout: Timeout, options: SerializeOptions): Descriptor;
+
+/**
+Schedule a timer from a descriptor. If it's overdue, it fires as soon as possible.
+
+@param registry - The jobs to look up the descriptor `name` in.
+@returns A timeout object that can be passed to `clearTimeout()`.
+
+@example
+```
+import {restore} from 'unlimited-timeout/persist';
+
+restore(descriptor, {sendReminder});
+```
+*/
+export function restore(descriptor: Descriptor, registry: JobRegistry): Timeout;
+
+/**
+Create a storage that keeps descriptors in a JSON file.
+
+Writes go to a temporary file first, so a crash while writing doesn't corrupt the stored timers. A missing file is treated as no stored timers.
+*/
+export function createFileStorage(filePath: string): Storage;
+
+export type PersistentTimersOptions = {
+	/**
+	Where to store the timers. A string is used as the path of a JSON file.
+	*/
+	readonly storage: string | Storage;
+
+	/**
+	The jobs that timers can run, by name.
+	*/
+	readonly jobs: JobRegistry;
+
+	/**
+	Called with errors from jobs, including rejections of a returned promise, and with errors from saving the storage when a timer fires.
+
+	If removing a timer from the storage fails, its job doesn't run, as it could otherwise run again after a restart.
+
+	Without it, the errors are rethrown.
+	*/
+	readonly onError?: (error: unknown) => void;
+};
+
+export type PersistentTimers = {
+	/**
+	Schedule all stored timers. Call this once on startup. Overdue timers fire as soon as possible.
+	*/
+	restore(): Promise<Timeout[]>;
+
+	/**
+	Schedule a job to run after a delay and store it.
+
+	@param name - The name of the job to run.
+	@param delay - The delay in milliseconds, or a duration. Coerced the same way as the `delay` of `setTimeout()`, except that `Infinity` is rejected with a `TypeError`, as a timer that never fires can't be stored.
+	@param arguments_ - The arguments to pass to the job. They must be JSON-serializable.
+	@returns The timeout object, once stored.
+	*/
+	setTimeout(name: string, delay?: Delay, ...arguments_: unknown[]): Promise<Timeout>;
+
+	/**
+	Cancel a timer and remove it from the storage.
+	*/
+	clearTimeout(timeout: Timeout): Promise<void>;
+};
+
+/**
+Create timers that survive process restarts.
+
+Timers are removed from the storage right before their job runs, so a job runs at most once, even if the process crashes while it runs. The job only starts once the storage is saved.
+
+Timers that are stored but not restored yet are kept when scheduling or clearing timers before calling `restore()`.
+
+@example
+```
+import {createPersistentTimers} from 'unlimited-timeout/persist';
+
+const timers = createPersistentTimers({
+	storage: 'data/timers.json',
+	jobs: {sendReminder},
+});
+
+// On startup
+await timers.restore();
+
+await timers.setTimeout('sendReminder', '45 days', userId);
+```
+*/
+export function createPersistentTimers(options: PersistentTimersOptions): PersistentTimers;
@@ -0,0 +1,237 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {randomUUID} from 'node:crypto';
+import {normalizeDelay} from './parse-delay.js';
+import {brandSymbol} from './utilities.js';
+import {setTimeoutAt, clearTimeout} from './index.js';
+
+function validateDescriptor(descriptor) {
+	if (typeof descriptor !== 'object' || descriptor === null) {
+		throw new TypeError('Expected descriptor to be an object');
+	}
+
+	if (typeof descriptor.name !== 'string' || descriptor.name === '') {
+		throw new TypeError('Expected descriptor `name` to be a non-empty string');
+	}
+
+	if (!Number.isFinite(descriptor.targetTime)) {
+		throw new TypeError('Expected descriptor `targetTime` to be a finite number');
+	}
+
+	if (descriptor.arguments !== undefined && !Array.isArray(descriptor.arguments)) {
+		throw new TypeError('Expected descriptor `arguments` to be an array');
+	}
+}
+
+function getJob(registry, name) {
+	const job = registry instanceof Map
+		? registry.get(name)
+		: (Object.hasOwn(registry, name) ? registry[name] : undefined);
+
+	if (typeof job !== 'function') {
+		throw new TypeError(`No job registered with the name \`${name}\``);
+	}
+
+	return job;
+}
+
+export function serialize(timeout, {name, arguments: arguments_ = []} = {}) {
+	if (!timeout || typeof timeout !== 'object' || !timeout[brandSymbol]) {
+		throw new TypeError('Expected a timeout created by `unlimited-timeout`');
+	}
+
+	if (timeout.cleared) {
+		throw new TypeError('Cannot serialize a cleared timeout');
+	}
+
+	const {remaining} = timeout;
+
+	if (!Number.isFinite(remaining)) {
+		throw new TypeError('Cannot serialize a timeout that never fires');
+	}
+
+	const descriptor = {
+		name,
+		// Absolute wall-clock time, so it stays meaningful across restarts
+		targetTime: Date.now() + remaining,
+		arguments: arguments_,
+	};
+
+	validateDescriptor(descriptor);
+
+	return descriptor;
+}
+
+export function restore(descriptor, registry) {
+	validateDescriptor(descriptor);
+	const job = getJob(registry, descriptor.name);
+
+	// Overdue timers fire as soon as possible
+	return setTimeoutAt(descriptor.targetTime, job, ...(descriptor.arguments ?? []));
+}
+
+export function createFileStorage(filePath) {
+	if (typeof filePath !== 'string') {
+		throw new TypeError('Expected filePath to be a string');
+	}
+
+	return {
+		async load() {
+			try {
+				return JSON.parse(await fs.readFile(filePath, 'utf8'));
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return [];
+				}
+
+				throw error;
+			}
+		},
+		async save(descriptors) {
+			await fs.mkdir(path.dirname(filePath), {recursive: true});
+
+			// Write to a temporary file first, so a crash while writing doesn't corrupt the stored timers
+			const temporaryPath = `${filePath}.${randomUUID()}.tmp`;
+			await fs.writeFile(temporaryPath, JSON.stringify(descriptors, undefined, '\t'));
+			await fs.rename(temporaryPath, filePath);
+		},
+	};
+}
+
+export function createPersistentTimers({storage, jobs, onError} = {}) {
+	if (typeof storage === 'string') {
+		storage = createFileStorage(storage);
+	}
+
+	if (typeof storage?.load !== 'function' || typeof storage?.save !== 'function') {
+		throw new TypeError('Expected `storage` to be a file path or an object with `load` and `save` methods');
+	}
+
+	if (typeof jobs !== 'object' || jobs === null) {
+		throw new TypeError('Expected `jobs` to be an object or a `Map`');
+	}
+
+	if (onError !== undefined && typeof onError !== 'function') {
+		throw new TypeError('Expected `onError` to be a function');
+	}
+
+	// Timeout → stored descriptor
+	const active = new Map();
+	let saving = Promise.resolve();
+	let isRestored = false;
+	let storedDescriptors;
+
+	// Loaded once, and shared by `restore()` and the saves before it
+	const loadStoredDescriptors = async () => {
+		storedDescriptors ??= (async () => {
+			const descriptors = await storage.load();
+
+			if (!Array.isArray(descriptors)) {
+				throw new TypeError('Expected the storage to load an array of descriptors');
+			}
+
+			return descriptors;
+		})();
+
+		return storedDescriptors;
+	};
+
+	// Saves are serialized so an older list of timers never overwrites a newer one
+	const save = () => {
+		const descriptors = [...active.values()];
+		// Until `restore()` has run, the stored timers are not in `active`, so they are kept to not delete them
+		const shouldKeepStored = !isRestored;
+		const previous = saving;
+
+		saving = (async () => {
+			try {
+				await previous;
+			} catch {}
+
+			const kept = shouldKeepStored ? await loadStoredDescriptors() : [];
+			await storage.save([...kept, ...descriptors]);
+		})();
+
+		return saving;
+	};
+
+	// Without an error handler, errors are rethrown, like with the other timers
+	const handleError = error => {
+		if (onError === undefined) {
+			throw error;
+		}
+
+		onError(error);
+	};
+
+	const schedule = descriptor => {
+		const job = getJob(jobs, descriptor.name);
+
+		const timeout = setTimeoutAt(descriptor.targetTime, async (...arguments_) => {
+			// Removed from the storage before running the job, so a job runs at most once even if the process crashes while it runs
+			active.delete(timeout);
+
+			try {
+				await save();
+			} catch (error) {
+				// The job is still stored, so running it now could run it again after a restart
+				handleError(error);
+				return;
+			}
+
+			try {
+				await job(...arguments_);
+			} catch (error) {
+				handleError(error);
+			}
+		}, ...(descriptor.arguments ?? []));
+
+		active.set(timeout, descriptor);
+
+		return timeout;
+	};
+
+	return {
+		async restore() {
+			const descriptors = await loadStoredDescriptors();
+
+			for (const descriptor of descriptors) {
+				validateDescriptor(descriptor);
+				getJob(jobs, descriptor.name);
+			}
+
+			isRestored = true;
+			return descriptors.map(descriptor => schedule(descriptor));
+		},
+		async setTimeout(name, delay, ...arguments_) {
+			getJob(jobs, name);
+
+			// Coerced like the delay of `setTimeout()`, so durations like `'45 days'` work too
+			const milliseconds = normalizeDelay(delay);
+
+			if (milliseconds === Number.POSITIVE_INFINITY) {
+				throw new TypeError('Cannot store a timer that never fires');
+			}
+
+			const descriptor = {
+				name,
+				targetTime: Date.now() + milliseconds,
+				arguments: arguments_,
+			};
+
+			validateDescriptor(descriptor);
+
+			const timeout = schedule(descriptor);
+			await save();
+
+			return timeout;
+		},
+		async clearTimeout(timeout) {
+			clearTimeout(timeout);
+
+			if (active.delete(timeout)) {
+				await save();
+			}
+		},
+	};
+}
@@ -0,0 +1,310 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+	serialize,
+	restore,
+	createFileStorage,
+	createPersistentTimers,
+} from './persist.js';
+import {setTimeout, clearTimeout} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createTemporaryDirectory = () => fs.mkdtemp(path.join(os.tmpdir(), 'unlimited-timeout-'));
+
+test('persist.serialize - creates a descriptor with an absolute target time', () => {
+	const timeout = setTimeout(() => {}, 45 * DAY);
+	const before = Date.now();
+	const descriptor = serialize(timeout, {name: 'sendReminder', arguments: ['user-1']});
+	clearTimeout(timeout);
+
+	assert.equal(descriptor.name, 'sendReminder');
+	assert.deepEqual(descriptor.arguments, ['user-1']);
+	assert.ok(Math.abs(descriptor.targetTime - (before + (45 * DAY))) < 100);
+	const json = JSON.stringify(descriptor);
+	assert.deepEqual(JSON.parse(json), descriptor);
+});
+
+test('persist.serialize - throws on invalid input', () => {
+	assert.throws(() => serialize({}, {name: 'job'}), TypeError);
+
+	const timeout = setTimeout(() => {}, 1000);
+	assert.throws(() => serialize(timeout, {}), TypeError);
+	clearTimeout(timeout);
+	assert.throws(() => serialize(timeout, {name: 'job'}), TypeError);
+
+	assert.throws(() => serialize(setTimeout(() => {}, Infinity), {name: 'job'}), TypeError);
+});
+
+test('persist.restore - schedules the registered job', async () => {
+	let result;
+	const timeout = restore({name: 'job', targetTime: Date.now() + 10, arguments: ['unicorn']}, {
+		job(value) {
+			result = value;
+		},
+	});
+
+	assert.ok(timeout.remaining <= 10);
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(result, 'unicorn');
+});
+
+test('persist.restore - fires overdue timers as soon as possible', async () => {
+	let called = false;
+	restore({name: 'job', targetTime: Date.now() - DAY}, new Map([['job', () => {
+		called = true;
+	}]]));
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 20);
+	});
+
+	assert.equal(called, true);
+});
+
+test('persist.restore - throws on unknown jobs and invalid descriptors', () => {
+	assert.throws(() => restore({name: 'missing', targetTime: Date.now()}, {}), /No job registered/);
+	assert.throws(() => restore({name: 'toString', targetTime: Date.now()}, {}), /No job registered/);
+	assert.throws(() => restore({name: 'job'}, {job() {}}), TypeError);
+	assert.throws(() => restore(null, {job() {}}), TypeError);
+});
+
+test('persist.createFileStorage - saves and loads descriptors', async () => {
+	const directory = await createTemporaryDirectory();
+	const storage = createFileStorage(path.join(directory, 'nested', 'timers.json'));
+
+	try {
+		assert.deepEqual(await storage.load(), []);
+
+		const descriptors = [{name: 'job', targetTime: 1000, arguments: [1]}];
+		await storage.save(descriptors);
+		assert.deepEqual(await storage.load(), descriptors);
+		assert.deepEqual(await fs.readdir(path.join(directory, 'nested')), ['timers.json']);
+	} finally {
+		await fs.rm(directory, {recursive: true});
+	}
+});
+
+test('persist.createPersistentTimers - survives a restart', async () => {
+	const directory = await createTemporaryDirectory();
+	const filePath = path.join(directory, 'timers.json');
+	const calls = [];
+	const jobs = {
+		sendReminder(userId) {
+			calls.push(userId);
+		},
+	};
+
+	try {
+		const timers = createPersistentTimers({storage: filePath, jobs});
+		const timeout = await timers.setTimeout('sendReminder', 45 * DAY, 'user-1');
+		await timers.setTimeout('sendReminder', 20, 'user-2');
+
+		// Simulate the process going away
+		clearTimeout(timeout);
+		const stored = await createFileStorage(filePath).load();
+		assert.equal(stored.length, 2);
+
+		const restarted = createPersistentTimers({storage: filePath, jobs});
+		const restored = await restarted.restore();
+		assert.equal(restored.length, 2);
+
+		await new Promise(resolve => {
+			globalThis.setTimeout(resolve, 50);
+		});
+
+		assert.deepEqual(calls, ['user-2', 'user-2']);
+
+		await restarted.clearTimeout(restored[0]);
+
+		// Wait for the save after firing to settle
+		await new Promise(resolve => {
+			globalThis.setTimeout(resolve, 20);
+		});
+
+		assert.deepEqual(await createFileStorage(filePath).load(), []);
+	} finally {
+		await fs.rm(directory, {recursive: true});
+	}
+});
+
+test('persist.createPersistentTimers - works with a custom storage', async () => {
+	let stored = [{name: 'job', targetTime: Date.now() + DAY, arguments: []}];
+	const storage = {
+		async load() {
+			return stored;
+		},
+		async save(descriptors) {
+			stored = descriptors;
+		},
+	};
+
+	const timers = createPersistentTimers({storage, jobs: {job() {}}});
+	const [timeout] = await timers.restore();
+	assert.ok(timeout.remaining > 0);
+
+	await timers.clearTimeout(timeout);
+	assert.deepEqual(stored, []);
+});
+
+test('persist.createPersistentTimers - keeps stored timers when scheduling before restore', async () => {
+	const old = {name: 'job', targetTime: Date.now() + DAY, arguments: ['old']};
+	let stored = [old];
+	const storage = {
+		async load() {
+			return stored;
+		},
+		async save(descriptors) {
+			stored = descriptors;
+		},
+	};
+
+	const timers = createPersistentTimers({storage, jobs: {job() {}}});
+	const timeout = await timers.setTimeout('job', 5000, 'new');
+	assert.deepEqual(stored.map(descriptor => descriptor.arguments[0]), ['old', 'new']);
+
+	await timers.clearTimeout(timeout);
+	assert.deepEqual(stored, [old]);
+
+	const [restored] = await timers.restore();
+	await timers.clearTimeout(restored);
+	assert.deepEqual(stored, []);
+});
+
+test('persist.createPersistentTimers - runs a job only once it is removed from the storage', async () => {
+	let stored = [];
+	let storedWhenRun;
+	const storage = {
+		async load() {
+			return stored;
+		},
+		async save(descriptors) {
+			await new Promise(resolve => {
+				globalThis.setTimeout(resolve, 10);
+			});
+
+			stored = descriptors;
+		},
+	};
+
+	const timers = createPersistentTimers({
+		storage,
+		jobs: {
+			job() {
+				storedWhenRun = stored;
+			},
+		},
+	});
+
+	await timers.restore();
+	await timers.setTimeout('job', 0);
+	assert.equal(stored.length, 1);
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.deepEqual(storedWhenRun, []);
+});
+
+test('persist.createPersistentTimers - passes errors to onError and skips the job when saving fails', async () => {
+	let isFull = false;
+	let calls = 0;
+	const errors = [];
+	const storage = {
+		async load() {
+			return [];
+		},
+		async save() {
+			if (isFull) {
+				throw new Error('disk full');
+			}
+		},
+	};
+
+	const timers = createPersistentTimers({
+		storage,
+		jobs: {
+			job() {
+				calls++;
+			},
+			failing() {
+				throw new Error('job failed');
+			},
+		},
+		onError(error) {
+			errors.push(error.message);
+		},
+	});
+
+	await timers.restore();
+	await timers.setTimeout('job', 0);
+	await timers.setTimeout('failing', 20);
+	isFull = true;
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 10);
+	});
+
+	isFull = false;
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 40);
+	});
+
+	assert.equal(calls, 0);
+	assert.deepEqual(errors, ['disk full', 'job failed']);
+});
+
+test('persist.createPersistentTimers - coerces the delay like setTimeout', async () => {
+	let stored = [];
+	const storage = {
+		async load() {
+			return stored;
+		},
+		async save(descriptors) {
+			stored = descriptors;
+		},
+	};
+
+	const timers = createPersistentTimers({storage, jobs: {job() {}}});
+	await timers.restore();
+
+	const before = Date.now();
+	const timeouts = [
+		await timers.setTimeout('job', '45 days'),
+		await timers.setTimeout('job', {hours: 2}),
+		await timers.setTimeout('job', '5000'),
+		await timers.setTimeout('job', undefined),
+	];
+	const after = Date.now();
+
+	const offsets = [45 * DAY, 2 * 60 * 60 * 1000, 5000, 0];
+	for (const [index, descriptor] of stored.entries()) {
+		assert.ok(descriptor.targetTime >= before + offsets[index] && descriptor.targetTime <= after + offsets[index]);
+	}
+
+	await assert.rejects(timers.setTimeout('job', Number.POSITIVE_INFINITY), {name: 'TypeError', message: 'Cannot store a timer that never fires'});
+	await assert.rejects(timers.setTimeout('job', 'soon'), TypeError);
+	assert.equal(stored.length, 4);
+
+	await Promise.all(timeouts.map(timeout => timers.clearTimeout(timeout)));
+	assert.deepEqual(stored, []);
+});
+
+test('persist.createPersistentTimers - validates options', async () => {
+	assert.throws(() => createPersistentTimers({jobs: {}}), TypeError);
+	assert.throws(() => createPersistentTimers({storage: 'timers.json'}), TypeError);
+
+	const timers = createPersistentTimers({storage: {async load() {}, async save() {}}, jobs: {}});
+	await assert.rejects(timers.setTimeout('missing', 1000), /No job registered/);
+	await assert.rejects(timers.restore(), TypeError);
+	assert.throws(() => createPersistentTimers({storage: 'timers.json', jobs: {}, onError: true}), {name: 'TypeError', message: 'Expected `onError` to be a function'});
+});
@@ -0,0 +1,76 @@
+export type TimerOptions = {
+	/**
+	An `AbortSignal` to cancel the scheduled timer.
+
+	When aborted, the promise is rejected with an `AbortError`.
+	*/
+	readonly signal?: AbortSignal;
+
+	/**
+	Set to `false` to allow the event loop to exit while the timer is pending (Node.js only; no-op in browsers).
+
+	@default true
+	*/
+	readonly ref?: boolean;
+};
+
+/**
+Wait for a delay, even if the delay exceeds JavaScript's built-in `setTimeout` maximum of ~24.8 days.
+
+Like `setTimeout` from `node:timers/promises`, but it handles arbitrarily long delays.
+
+@param delay - The delay in milliseconds. Coerced the same way as the callback-based `setTimeout`.
+@param value - The value the promise resolves with.
+@returns A promise that resolves with `value` after the delay, or rejects with an `AbortError` if the `signal` is aborted.
+
+@example
+```
+import {setTimeout} from 'unlimited-timeout/promises';
+
+// Wait 30 days
+await setTimeout(30 * 24 * 60 * 60 * 1000);
+
+// Cancel the wait
+const controller = new AbortController();
+
+try {
+	await setTimeout(30 * 24 * 60 * 60 * 1000, undefined, {signal: controller.signal});
+} catch (error) {
+	if (error.name !== 'AbortError') {
+		throw error;
+	}
+}
+```
+*/
+export function setTimeout<T = void>(
+	delay?: number,
+	value?: T,
+	options?: TimerOptions
+): Promise<T>;
+
+/**
+Create an async iterator that yields `value` repeatedly with a delay between each tick, even if the delay exceeds JavaScript's built-in `setInterval` maximum of ~24.8 days.
+
+Like `setInterval` from `node:timers/promises`, but it handles arbitrarily long delays. Ticks are drift-corrected, so they stay aligned to the original schedule.
+
+Ticks that fire while the consumer is still busy are queued and yielded back-to-back once the consumer asks for the next value. The underlying interval is cleared when the loop ends, including with `break`.
+
+@param delay - The delay in milliseconds between each tick. Coerced the same way as the callback-based `setInterval`.
+@param value - The value to yield on each tick.
+@returns An async iterator that throws an `AbortError` if the `signal` is aborted.
+
+@example
+```
+import {setInterval} from 'unlimited-timeout/promises';
+
+// Run a job every 30 days
+for await (const _ of setInterval(30 * 24 * 60 * 60 * 1000)) {
+	await runMonthlyJob();
+}
+```
+*/
+export function setInterval<T = void>(
+	delay?: number,
+	value?: T,
+	options?: TimerOptions
+): AsyncGenerator<T, void, unknown>;
@@ -0,0 +1,114 @@
+import {
+	setTimeout as unlimitedSetTimeout,
+	clearTimeout as unlimitedClearTimeout,
+	setInterval as unlimitedSetInterval,
+	clearInterval as unlimitedClearInterval,
+} from './index.js';
+
+// Matches the error thrown by `node:timers/promises`
+function createAbortError(signal) {
+	const error = new Error('The operation was aborted', {cause: signal.reason});
+	error.name = 'AbortError';
+	error.code = 'ABORT_ERR';
+	return error;
+}
+
+function validateOptions(options) {
+	if (typeof options !== 'object' || options === null) {
+		throw new TypeError('Expected options to be an object');
+	}
+
+	const {signal, ref} = options;
+
+	if (signal !== undefined && (typeof signal !== 'object' || signal === null || !('aborted' in signal))) {
+		throw new TypeError('Expected `signal` to be an AbortSignal');
+	}
+
+	if (ref !== undefined && typeof ref !== 'boolean') {
+		throw new TypeError('Expected `ref` to be a boolean');
+	}
+}
+
+export function setTimeout(delay, value, options = {}) {
+	try {
+		validateOptions(options);
+	} catch (error) {
+		return Promise.reject(error);
+	}
+
+	const {signal, ref = true} = options;
+
+	if (signal?.aborted) {
+		return Promise.reject(createAbortError(signal));
+	}
+
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			unlimitedClearTimeout(timeout);
+			reject(createAbortError(signal));
+		};
+
+		const timeout = unlimitedSetTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve(value);
+		}, delay);
+
+		if (!ref) {
+			timeout.unref();
+		}
+
+		signal?.addEventListener('abort', onAbort, {once: true});
+	});
+}
+
+export async function * setInterval(delay, value, options = {}) {
+	validateOptions(options);
+
+	const {signal, ref = true} = options;
+
+	if (signal?.aborted) {
+		throw createAbortError(signal);
+	}
+
+	// Ticks that fire while the consumer is busy are queued and yielded back-to-back
+	let pendingTicks = 0;
+	let notify;
+
+	const wake = () => {
+		notify?.();
+		notify = undefined;
+	};
+
+	const interval = unlimitedSetInterval(() => {
+		pendingTicks++;
+		wake();
+	}, delay);
+
+	if (!ref) {
+		interval.unref();
+	}
+
+	signal?.addEventListener('abort', wake, {once: true});
+
+	try {
+		while (true) {
+			if (pendingTicks === 0) {
+				// eslint-disable-next-line no-await-in-loop
+				await new Promise(resolve => {
+					notify = resolve;
+				});
+			}
+
+			for (; pendingTicks > 0 && !signal?.aborted; pendingTicks--) {
+				yield value;
+			}
+
+			if (signal?.aborted) {
+				throw createAbortError(signal);
+			}
+		}
+	} finally {
+		unlimitedClearInterval(interval);
+		signal?.removeEventListener('abort', wake);
+	}
+}
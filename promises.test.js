@@ -0,0 +1,184 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {setTimeout as setTimeoutPromise, setInterval as setIntervalPromise} from './promises.js';
+import {MAX_TIMEOUT} from './index.js';
+
+test('promises.setTimeout - resolves with value', async () => {
+	const result = await setTimeoutPromise(10, 'unicorn');
+	assert.equal(result, 'unicorn');
+});
+
+test('promises.setTimeout - resolves with undefined by default', async () => {
+	const result = await setTimeoutPromise(10);
+	assert.equal(result, undefined);
+});
+
+test('promises.setTimeout - rejects with AbortError when aborted', async () => {
+	const controller = new AbortController();
+	const promise = setTimeoutPromise(MAX_TIMEOUT * 2, 'unicorn', {signal: controller.signal});
+	const reason = new Error('stop');
+	controller.abort(reason);
+
+	await assert.rejects(promise, error => {
+		assert.equal(error.name, 'AbortError');
+		assert.equal(error.code, 'ABORT_ERR');
+		assert.equal(error.cause, reason);
+		return true;
+	});
+});
+
+test('promises.setTimeout - rejects immediately with already aborted signal', async () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	let scheduled = false;
+
+	globalThis.setTimeout = (...arguments_) => {
+		scheduled = true;
+		return originalSetTimeout(...arguments_);
+	};
+
+	try {
+		const promise = setTimeoutPromise(10, undefined, {signal: AbortSignal.abort()});
+		assert.equal(scheduled, false);
+		await assert.rejects(promise, {name: 'AbortError'});
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+	}
+});
+
+test('promises.setTimeout - removes abort listener after resolving', async () => {
+	const controller = new AbortController();
+	const {signal} = controller;
+	let listeners = 0;
+
+	const originalAddEventListener = signal.addEventListener.bind(signal);
+	const originalRemoveEventListener = signal.removeEventListener.bind(signal);
+	signal.addEventListener = (...arguments_) => {
+		listeners++;
+		return originalAddEventListener(...arguments_);
+	};
+
+	signal.removeEventListener = (...arguments_) => {
+		listeners--;
+		return originalRemoveEventListener(...arguments_);
+	};
+
+	await setTimeoutPromise(10, undefined, {signal});
+	assert.equal(listeners, 0);
+});
+
+test('promises.setTimeout - ref: false unrefs the timer', async () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	let unrefCalled = false;
+
+	globalThis.setTimeout = (...arguments_) => {
+		const id = originalSetTimeout(...arguments_);
+		const originalUnref = id.unref.bind(id);
+		id.unref = () => {
+			unrefCalled = true;
+			return originalUnref();
+		};
+
+		return id;
+	};
+
+	// Keep the event loop alive while the unreffed timer is pending
+	const keepAlive = originalSetTimeout(() => {}, 1000);
+
+	try {
+		await setTimeoutPromise(10, undefined, {ref: false});
+		assert.equal(unrefCalled, true);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		globalThis.clearTimeout(keepAlive);
+	}
+});
+
+test('promises.setTimeout - rejects on invalid options', async () => {
+	await assert.rejects(setTimeoutPromise(10, undefined, null), TypeError);
+	await assert.rejects(setTimeoutPromise(10, undefined, {signal: 'foo'}), TypeError);
+	await assert.rejects(setTimeoutPromise(10, undefined, {ref: 'foo'}), TypeError);
+});
+
+test('promises.setInterval - yields value on each tick', async () => {
+	const values = [];
+
+	for await (const value of setIntervalPromise(10, 'unicorn')) {
+		values.push(value);
+
+		if (values.length === 3) {
+			break;
+		}
+	}
+
+	assert.deepEqual(values, ['unicorn', 'unicorn', 'unicorn']);
+});
+
+test('promises.setInterval - queues ticks while the consumer is busy', async () => {
+	const iterator = setIntervalPromise(10, 'unicorn');
+	await iterator.next();
+
+	// Let several ticks fire while not consuming
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 55);
+	});
+
+	const start = performance.now();
+	await iterator.next();
+	await iterator.next();
+	assert.ok(performance.now() - start < 10, 'Queued ticks should be yielded immediately');
+
+	await iterator.return();
+});
+
+test('promises.setInterval - clears the interval when the loop ends', async () => {
+	const originalClearTimeout = globalThis.clearTimeout;
+	let cleared = false;
+
+	globalThis.clearTimeout = id => {
+		cleared = true;
+		return originalClearTimeout(id);
+	};
+
+	try {
+		// eslint-disable-next-line no-unreachable-loop
+		for await (const _ of setIntervalPromise(10)) {
+			break;
+		}
+
+		assert.equal(cleared, true);
+	} finally {
+		globalThis.clearTimeout = originalClearTimeout;
+	}
+});
+
+test('promises.setInterval - throws AbortError when aborted', async () => {
+	const controller = new AbortController();
+	let count = 0;
+
+	await assert.rejects(async () => {
+		for await (const _ of setIntervalPromise(10, undefined, {signal: controller.signal})) {
+			count++;
+
+			if (count === 2) {
+				controller.abort();
+			}
+		}
+	}, {name: 'AbortError'});
+
+	assert.equal(count, 2);
+});
+
+test('promises.setInterval - aborting ends a long wait', async () => {
+	const controller = new AbortController();
+	const iterator = setIntervalPromise(MAX_TIMEOUT * 2, undefined, {signal: controller.signal});
+	const promise = iterator.next();
+	controller.abort();
+
+	await assert.rejects(promise, {name: 'AbortError'});
+	assert.deepEqual(await iterator.next(), {value: undefined, done: true});
+});
+
+test('promises.setInterval - throws with already aborted signal', async () => {
+	const iterator = setIntervalPromise(10, undefined, {signal: AbortSignal.abort()});
+	await assert.rejects(iterator.next(), {name: 'AbortError'});
+});
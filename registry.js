@@ -0,0 +1,42 @@
+import {cancelSymbol} from './utilities.js';
+
+// Stored on `globalThis` with `Symbol.for`, so timers from all copies of the package (monorepos, hoisted deps, etc.) end up in the same registry
+const registrySymbol = Symbol.for('sindresorhus/unlimited-timeout#registry');
+
+// The set of active timers, or `undefined` when the registry is not enabled
+export const getRegistry = () => globalThis[registrySymbol];
+
+export function enableRegistry() {
+	globalThis[registrySymbol] ??= new Set();
+}
+
+export function disableRegistry() {
+	delete globalThis[registrySymbol];
+}
+
+function validateLabelFilter(options) {
+	if (typeof options !== 'object' || options === null) {
+		throw new TypeError('Expected options to be an object');
+	}
+
+	if (options.label !== undefined && typeof options.label !== 'string') {
+		throw new TypeError('Expected `label` to be a string');
+	}
+}
+
+export function getActiveTimers(options = {}) {
+	validateLabelFilter(options);
+	const {label} = options;
+
+	return [...getRegistry() ?? []].filter(timer => label === undefined || timer.label === label);
+}
+
+export function clearAll(options = {}) {
+	const timers = getActiveTimers(options);
+
+	for (const timer of timers) {
+		timer[cancelSymbol]();
+	}
+
+	return timers.length;
+}
@@ -0,0 +1,129 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	setTimeout,
+	schedule,
+	createTimers,
+	createVirtualClock,
+	enableRegistry,
+	disableRegistry,
+	getActiveTimers,
+	clearAll,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('registry - does not track timers by default', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	timers.setTimeout(() => {}, {delay: 1000, label: 'untracked'});
+
+	assert.deepEqual(getActiveTimers(), []);
+	assert.equal(clearAll(), 0);
+});
+
+test('registry - lists active timers with their label and kind', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	enableRegistry();
+
+	try {
+		const timeout = timers.setTimeout(() => {}, {delay: 1000, label: 'reminders'});
+		const interval = timers.setInterval(() => {}, {delay: DAY, label: 'sync'});
+		const cron = timers.schedule('@daily', () => {}, {timezone: 'UTC', label: 'reports'});
+		const calendar = timers.setCalendarInterval({months: 1}, () => {});
+
+		assert.deepEqual(getActiveTimers(), [timeout, interval, cron, calendar]);
+		assert.deepEqual(getActiveTimers().map(timer => [timer.kind, timer.label]), [
+			['timeout', 'reminders'],
+			['interval', 'sync'],
+			['cron', 'reports'],
+			['calendar', undefined],
+		]);
+		assert.deepEqual(getActiveTimers({label: 'sync'}), [interval]);
+		assert.equal(getActiveTimers()[0].targetTime, 1000);
+
+		// Fired timeouts and cleared timers are removed
+		clock.tick(1000);
+		timers.clearInterval(cron);
+		assert.deepEqual(getActiveTimers(), [interval, calendar]);
+
+		// Refreshing a fired timeout makes it active again
+		timeout.refresh();
+		assert.deepEqual(getActiveTimers(), [interval, calendar, timeout]);
+
+		timers.clearInterval(interval);
+		timers.clearInterval(calendar);
+		timers.clearTimeout(timeout);
+		assert.deepEqual(getActiveTimers(), []);
+	} finally {
+		disableRegistry();
+	}
+});
+
+test('registry - removes intervals after their last tick', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	enableRegistry();
+
+	try {
+		timers.setInterval(() => {}, {delay: 1000, count: 2});
+		timers.setInterval(() => {}, {delay: 1000, until: 1500});
+		assert.equal(getActiveTimers().length, 2);
+
+		clock.runAll();
+		assert.deepEqual(getActiveTimers(), []);
+	} finally {
+		disableRegistry();
+	}
+});
+
+test('registry - clearAll clears timers by label', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+	const callback = () => {
+		calls++;
+	};
+
+	enableRegistry();
+
+	try {
+		timers.setTimeout(callback, {delay: 1000, label: 'reminders'});
+		timers.setInterval(callback, {delay: 1000, label: 'reminders'});
+		const other = timers.setTimeout(callback, 1000);
+
+		assert.equal(clearAll({label: 'reminders'}), 2);
+		assert.deepEqual(getActiveTimers(), [other]);
+
+		assert.equal(clearAll(), 1);
+		assert.equal(other.cleared, true);
+
+		clock.tick(5000);
+		assert.equal(calls, 0);
+		assert.equal(clock.pendingCount, 0);
+	} finally {
+		disableRegistry();
+	}
+});
+
+test('registry - is shared across copies of the package', async () => {
+	const copy = await import(`./index.js?copy=${Date.now()}`);
+	copy.enableRegistry();
+
+	try {
+		const timeout = setTimeout(() => {}, {delay: 1000, label: 'shared'});
+		assert.deepEqual(copy.getActiveTimers({label: 'shared'}), [timeout]);
+		assert.equal(copy.clearAll({label: 'shared'}), 1);
+		assert.equal(timeout.cleared, true);
+	} finally {
+		disableRegistry();
+	}
+});
+
+test('registry - throws on invalid labels', () => {
+	assert.throws(() => setTimeout(() => {}, {delay: 1000, label: 1}), {name: 'TypeError', message: 'Expected `label` to be a string'});
+	assert.throws(() => schedule('@daily', () => {}, {label: 1}), {name: 'TypeError', message: 'Expected `label` to be a string'});
+	assert.throws(() => getActiveTimers({label: 1}), {name: 'TypeError', message: 'Expected `label` to be a string'});
+});
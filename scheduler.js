@@ -0,0 +1,285 @@
+import {normalizeDelay} from './parse-delay.js';
+import {captureAsyncContext} from './async-context.js';
+import {
+	MAX_TIMEOUT,
+	brandSymbol,
+	cancelSymbol,
+	callNative,
+	timerOptionNames,
+	isOptionsObject,
+	isPromiseLike,
+	handleTimerError,
+} from './utilities.js';
+
+const supportedOptionNames = new Set(['delay', 'strict']);
+
+export function createScheduler({
+	now: customNow,
+	// The native timers, also after `install()`, as the scheduler only needs one short timer at a time
+	setTimeout: setNativeTimeout = (callback, delay) => callNative('setTimeout', callback, delay),
+	clearTimeout: clearNativeTimeout = id => callNative('clearTimeout', id),
+	onError,
+} = {}) {
+	if (customNow !== undefined && typeof customNow !== 'function') {
+		throw new TypeError('Expected `now` to be a function');
+	}
+
+	if (onError !== undefined && typeof onError !== 'function') {
+		throw new TypeError('Expected `onError` to be a function');
+	}
+
+	// Like `createTimers()`, a custom clock is also used to resolve durations with months or years
+	const now = customNow ?? (() => performance.now());
+	const getWallTime = customNow ?? (() => Date.now());
+
+	// A min-heap of pending entries, ordered by target time, then by scheduling order. Each entry knows its index, so it can be removed in O(log n).
+	const heap = [];
+	let nextSequence = 0;
+	// The single native timer, armed for the earliest target time
+	let nativeId;
+	// The native timer only keeps the event loop alive while a pending timer does
+	let referencedCount = 0;
+
+	const isBefore = (a, b) => a.targetTime < b.targetTime || (a.targetTime === b.targetTime && a.sequence < b.sequence);
+
+	const swap = (i, j) => {
+		[heap[i], heap[j]] = [heap[j], heap[i]];
+		heap[i].index = i;
+		heap[j].index = j;
+	};
+
+	const siftUp = index => {
+		while (index > 0) {
+			const parent = Math.floor((index - 1) / 2);
+			if (!isBefore(heap[index], heap[parent])) {
+				return;
+			}
+
+			swap(index, parent);
+			index = parent;
+		}
+	};
+
+	const siftDown = index => {
+		while (true) {
+			const left = (index * 2) + 1;
+			const right = left + 1;
+			let smallest = index;
+
+			if (left < heap.length && isBefore(heap[left], heap[smallest])) {
+				smallest = left;
+			}
+
+			if (right < heap.length && isBefore(heap[right], heap[smallest])) {
+				smallest = right;
+			}
+
+			if (smallest === index) {
+				return;
+			}
+
+			swap(index, smallest);
+			index = smallest;
+		}
+	};
+
+	const insert = entry => {
+		entry.index = heap.length;
+		heap.push(entry);
+		siftUp(entry.index);
+	};
+
+	const remove = entry => {
+		const {index} = entry;
+		const last = heap.pop();
+		entry.index = -1;
+
+		if (last !== entry) {
+			heap[index] = last;
+			last.index = index;
+			siftUp(index);
+			siftDown(last.index);
+		}
+	};
+
+	const updateRef = () => {
+		if (referencedCount > 0) {
+			nativeId?.ref?.();
+		} else {
+			nativeId?.unref?.();
+		}
+	};
+
+	// Re-plan the native timer for the earliest target time, chunked like the other timers
+	const arm = () => {
+		if (nativeId !== undefined) {
+			clearNativeTimeout(nativeId);
+			nativeId = undefined;
+		}
+
+		const [earliest] = heap;
+		if (earliest === undefined || !Number.isFinite(earliest.targetTime)) {
+			return;
+		}
+
+		const remaining = Math.max(0, earliest.targetTime - now());
+		nativeId = setNativeTimeout(wakeUp, Math.min(remaining, MAX_TIMEOUT));
+		updateRef();
+	};
+
+	const waitForRun = async (promise, timer) => {
+		try {
+			await promise;
+		} catch (error) {
+			handleTimerError(error, timer, onError);
+		}
+	};
+
+	const run = entry => {
+		let result;
+		try {
+			result = entry.runInAsyncContext(entry.callback, ...entry.arguments_);
+		} catch (error) {
+			handleTimerError(error, entry.timer, onError);
+			return;
+		}
+
+		if (onError !== undefined && isPromiseLike(result)) {
+			waitForRun(result, entry.timer);
+		}
+	};
+
+	const finish = entry => {
+		remove(entry);
+
+		if (entry.isReferenced) {
+			referencedCount--;
+		}
+	};
+
+	const wakeUp = () => {
+		nativeId = undefined;
+
+		try {
+			while (heap.length > 0 && heap[0].targetTime <= now()) {
+				const entry = heap[0];
+				finish(entry);
+				entry.hasFired = true;
+				run(entry);
+			}
+		} finally {
+			// If a callback throws, the timers that are still due run on the next wakeup
+			arm();
+		}
+	};
+
+	const setTimeout = (callback, delayOrOptions, ...arguments_) => {
+		if (typeof callback !== 'function') {
+			throw new TypeError('Expected callback to be a function');
+		}
+
+		const isOptions = isOptionsObject(delayOrOptions, timerOptionNames);
+
+		// Rejected instead of ignored, as silently dropping an option like `signal` would leave the timer running
+		const unsupportedOption = isOptions ? timerOptionNames.find(name => name in delayOrOptions && !supportedOptionNames.has(name)) : undefined;
+		if (unsupportedOption !== undefined) {
+			throw new TypeError(`The scheduler does not support the \`${unsupportedOption}\` option`);
+		}
+
+		const {delay, strict = false} = isOptions ? delayOrOptions : {delay: delayOrOptions};
+
+		if (typeof strict !== 'boolean') {
+			throw new TypeError('Expected `strict` to be a boolean');
+		}
+
+		const entry = {
+			callback,
+			arguments_,
+			runInAsyncContext: captureAsyncContext(),
+			targetTime: now() + normalizeDelay(delay, getWallTime, {strict}),
+			sequence: nextSequence++,
+			index: -1,
+			isReferenced: true,
+			hasFired: false,
+		};
+
+		const timer = {
+			[brandSymbol]: true,
+			[cancelSymbol]() {
+				timer.cleared = true;
+
+				if (entry.index === -1) {
+					return;
+				}
+
+				const wasEarliest = entry.index === 0;
+				finish(entry);
+
+				if (wasEarliest) {
+					arm();
+				} else {
+					updateRef();
+				}
+			},
+			cleared: false,
+			get targetTime() {
+				return entry.targetTime;
+			},
+			get remaining() {
+				if (timer.cleared || entry.hasFired) {
+					return 0;
+				}
+
+				return Math.max(0, entry.targetTime - now());
+			},
+			hasRef() {
+				return entry.isReferenced;
+			},
+			ref() {
+				if (!entry.isReferenced && entry.index !== -1) {
+					referencedCount++;
+					updateRef();
+				}
+
+				entry.isReferenced = true;
+				return timer;
+			},
+			unref() {
+				if (entry.isReferenced && entry.index !== -1) {
+					referencedCount--;
+					updateRef();
+				}
+
+				entry.isReferenced = false;
+				return timer;
+			},
+		};
+
+		entry.timer = timer;
+		insert(entry);
+		referencedCount++;
+
+		// Only re-arm when the new timer is the earliest one
+		if (entry.index === 0) {
+			arm();
+		} else {
+			updateRef();
+		}
+
+		return timer;
+	};
+
+	const clearTimeout = timeout => {
+		if (timeout && typeof timeout === 'object' && typeof timeout[cancelSymbol] === 'function') {
+			timeout[cancelSymbol]();
+		}
+	};
+
+	return {
+		setTimeout,
+		clearTimeout,
+		get size() {
+			return heap.length;
+		},
+	};
+}
@@ -0,0 +1,229 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	clearTimeout,
+	createVirtualClock,
+	createScheduler,
+	enableRegistry,
+	disableRegistry,
+	getActiveTimers,
+	install,
+	uninstall,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const flushPromises = () => new Promise(resolve => {
+	globalThis.setImmediate(resolve);
+});
+
+const createCountingClock = clock => {
+	const counts = {set: 0, clear: 0};
+
+	return {
+		counts,
+		options: {
+			now: clock.now,
+			setTimeout(callback, delay) {
+				counts.set++;
+				return clock.setTimeout(callback, delay);
+			},
+			clearTimeout(id) {
+				counts.clear++;
+				clock.clearTimeout(id);
+			},
+		},
+	};
+};
+
+test('createScheduler - runs timers in order with a single native timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const {counts, options} = createCountingClock(clock);
+	const scheduler = createScheduler(options);
+	const calls = [];
+
+	for (const [delay, name] of [[30, 'c'], [10, 'a'], [20, 'b'], [10, 'a2'], [40, 'd']]) {
+		scheduler.setTimeout(value => {
+			calls.push([clock.now() / DAY, value]);
+		}, delay * DAY, name);
+	}
+
+	assert.equal(scheduler.size, 5);
+	assert.equal(clock.pendingCount, 1);
+
+	clock.runAll();
+
+	assert.deepEqual(calls, [[10, 'a'], [10, 'a2'], [20, 'b'], [30, 'c'], [40, 'd']]);
+	assert.equal(scheduler.size, 0);
+	assert.equal(clock.pendingCount, 0);
+	// Only re-armed for new earliest timers, chunk boundaries, and after each wakeup
+	assert.equal(counts.set < 15, true);
+});
+
+test('createScheduler - clears timers', () => {
+	const clock = createVirtualClock({now: 0});
+	const scheduler = createScheduler(clock);
+	const calls = [];
+
+	const timeouts = Array.from({length: 100}, (_, index) => scheduler.setTimeout(() => {
+		calls.push(index);
+	}, (index + 1) * 1000));
+
+	// Clear the earliest, the latest, and every other one
+	for (const [index, timeout] of timeouts.entries()) {
+		if (index % 2 === 0 || index === 99) {
+			scheduler.clearTimeout(timeout);
+		}
+	}
+
+	clearTimeout(timeouts[1]);
+	scheduler.clearTimeout(timeouts[1]);
+	scheduler.clearTimeout(undefined);
+
+	assert.equal(scheduler.size, 48);
+	assert.equal(timeouts[0].cleared, true);
+	assert.equal(timeouts[0].remaining, 0);
+
+	clock.runAll();
+
+	assert.deepEqual(calls, Array.from({length: 48}, (_, index) => (index * 2) + 3));
+});
+
+test('createScheduler - disarms when the last timer is cleared', () => {
+	const clock = createVirtualClock({now: 0});
+	const scheduler = createScheduler(clock);
+
+	const timeout = scheduler.setTimeout(() => {}, 60 * DAY);
+	assert.equal(clock.pendingCount, 1);
+
+	scheduler.clearTimeout(timeout);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('createScheduler - handles long delays, durations, and Infinity', () => {
+	const clock = createVirtualClock({now: 0});
+	const scheduler = createScheduler(clock);
+	const calls = [];
+
+	scheduler.setTimeout(() => {
+		calls.push(clock.now() / DAY);
+	}, '100 days');
+	const never = scheduler.setTimeout(() => {
+		calls.push('never');
+	}, Number.POSITIVE_INFINITY);
+
+	assert.equal(scheduler.setTimeout(() => {}, {delay: 1000, strict: true}).remaining, 1000);
+	assert.equal(scheduler.setTimeout(() => {}, {valueOf: () => 2000}).remaining, 2000);
+	assert.throws(() => scheduler.setTimeout(() => {}, {delay: -1, strict: true}), RangeError);
+	assert.throws(() => scheduler.setTimeout(undefined, 1000), TypeError);
+
+	clock.runAll();
+
+	assert.deepEqual(calls, [100]);
+	assert.equal(never.remaining, Number.POSITIVE_INFINITY);
+	assert.equal(scheduler.size, 1);
+});
+
+test('createScheduler - throws on timer options it does not support', () => {
+	const clock = createVirtualClock({now: 0});
+	const scheduler = createScheduler(clock);
+	const controller = new AbortController();
+
+	assert.throws(() => scheduler.setTimeout(() => {}, {signal: controller.signal}), {name: 'TypeError', message: 'The scheduler does not support the `signal` option'});
+	assert.throws(() => scheduler.setTimeout(() => {}, {delay: 1000, label: 'trial'}), {name: 'TypeError', message: 'The scheduler does not support the `label` option'});
+	assert.throws(() => scheduler.setTimeout(() => {}, {delay: 1000, clock: 'wall'}), TypeError);
+	assert.equal(scheduler.size, 0);
+});
+
+test('createScheduler - uses the native timers after install', () => {
+	enableRegistry();
+	install();
+
+	try {
+		const scheduler = createScheduler();
+		const timeout = scheduler.setTimeout(() => {}, 1000);
+
+		// An unlimited timer would be listed in the registry
+		assert.deepEqual(getActiveTimers(), []);
+		scheduler.clearTimeout(timeout);
+	} finally {
+		uninstall();
+		disableRegistry();
+	}
+});
+
+test('createScheduler - only keeps the event loop alive while a timer is referenced', () => {
+	const clock = createVirtualClock({now: 0});
+	const native = {referenced: true};
+	const scheduler = createScheduler({
+		now: clock.now,
+		setTimeout(callback, delay) {
+			clock.setTimeout(callback, delay);
+			return {
+				ref() {
+					native.referenced = true;
+				},
+				unref() {
+					native.referenced = false;
+				},
+			};
+		},
+		clearTimeout() {},
+	});
+
+	const first = scheduler.setTimeout(() => {}, 1000).unref();
+	assert.equal(first.hasRef(), false);
+	assert.equal(native.referenced, false);
+
+	const second = scheduler.setTimeout(() => {}, 2000);
+	assert.equal(native.referenced, true);
+
+	second.unref();
+	assert.equal(native.referenced, false);
+
+	second.ref();
+	assert.equal(native.referenced, true);
+});
+
+test('createScheduler - runs the other due timers when a callback throws', () => {
+	const clock = createVirtualClock({now: 0});
+	const scheduler = createScheduler(clock);
+	const calls = [];
+
+	scheduler.setTimeout(() => {
+		throw new Error('Failed');
+	}, 1000);
+	scheduler.setTimeout(() => {
+		calls.push('second');
+	}, 1000);
+
+	assert.throws(() => {
+		clock.tick(1000);
+	}, /Failed/);
+
+	clock.tick(0);
+	assert.deepEqual(calls, ['second']);
+});
+
+test('createScheduler - passes errors to onError', async () => {
+	const clock = createVirtualClock({now: 0});
+	const errors = [];
+	const scheduler = createScheduler({
+		...clock,
+		onError(error, timeout) {
+			errors.push([error.message, timeout.cleared]);
+		},
+	});
+
+	scheduler.setTimeout(() => {
+		throw new Error('Thrown');
+	}, 1000);
+	scheduler.setTimeout(async () => {
+		throw new Error('Rejected');
+	}, 1000);
+
+	clock.tick(1000);
+	await flushPromises();
+
+	assert.deepEqual(errors, [['Thrown', false], ['Rejected', false]]);
+});
@@ -1,13 +1,22 @@
 import {test} from 'node:test';
 import assert from 'node:assert/strict';
+import {promisify} from 'node:util';
+import {setTimeout as setTimeoutPromise} from './promises.js';
 import {
 	setTimeout,
+	setTimeoutAt,
 	clearTimeout,
 	setInterval,
 	clearInterval,
+	createTimers,
+	createVirtualClock,
+	install,
+	uninstall,
 	MAX_TIMEOUT,
 } from './index.js';
 
+const DAY = 24 * 60 * 60 * 1000;
+
 test('setTimeout - basic timeout', async () => {
 	let called = false;
 	setTimeout(() => {
@@ -227,17 +236,13 @@ test('setTimeout - treats NaN as 0 (immediate)', async () => {
 	assert.equal(called, true);
 });
 
-test('setTimeout - coerces string "abc" (NaN) to 0', async () => {
-	let called = false;
-	setTimeout(() => {
-		called = true;
-	}, 'abc');
-
-	await new Promise(resolve => {
-		globalThis.setTimeout(resolve, 50);
+test('setTimeout - throws on a malformed duration string', () => {
+	assert.throws(() => {
+		setTimeout(() => {}, 'abc');
+	}, {
+		name: 'TypeError',
+		message: /Invalid duration `abc`/,
 	});
-
-	assert.equal(called, true);
 });
 
 test('clearTimeout - handles undefined', () => {
@@ -855,3 +860,461 @@ test('clearInterval - works across package copies (Symbol.for branding)', () =>
 	// Clean up
 	globalThis.clearTimeout(fakeInterval.id);
 });
+
+test('setTimeoutAt - fires at a Date', async () => {
+	let result;
+	setTimeoutAt(new Date(Date.now() + 10), (a, b) => {
+		result = {a, b};
+	}, 'hello', 42);
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.deepEqual(result, {a: 'hello', b: 42});
+});
+
+test('setTimeoutAt - accepts epoch milliseconds and ISO strings', async () => {
+	let calls = 0;
+	setTimeoutAt(Date.now() + 10, () => {
+		calls++;
+	});
+	setTimeoutAt(new Date(Date.now() + 10).toISOString(), () => {
+		calls++;
+	});
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(calls, 2);
+});
+
+test('setTimeoutAt - fires as soon as possible when the date is in the past', async () => {
+	let called = false;
+	setTimeoutAt('2000-01-01T00:00Z', () => {
+		called = true;
+	});
+
+	assert.equal(called, false);
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(called, true);
+});
+
+test('setTimeoutAt - can be cleared', async () => {
+	let called = false;
+	const timeout = setTimeoutAt(Date.now() + 10, () => {
+		called = true;
+	});
+
+	clearTimeout(timeout);
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(called, false);
+	assert.equal(timeout.cleared, true);
+});
+
+test('setTimeoutAt - throws on invalid date', () => {
+	assert.throws(() => setTimeoutAt('not a date', () => {}), TypeError);
+	assert.throws(() => setTimeoutAt(new Date(Number.NaN), () => {}), TypeError);
+	assert.throws(() => setTimeoutAt({}, () => {}), TypeError);
+});
+
+test('setTimeoutAt - throws on non-function callback', () => {
+	assert.throws(() => setTimeoutAt(Date.now(), 'not a function'), TypeError);
+});
+
+test('setTimeoutAt - re-aims at the wall-clock target when the wall clock drifts', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalDateNow = Date.now;
+	const originalPerformanceNow = performance.now;
+	const scheduled = [];
+	let wallNow = 0;
+	let monotonicNow = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		scheduled.push({callback, delay});
+		return {};
+	};
+
+	Date.now = () => wallNow;
+	performance.now = () => monotonicNow;
+
+	try {
+		let called = false;
+		setTimeoutAt(MAX_TIMEOUT * 3, () => {
+			called = true;
+		});
+
+		// The timer waits on a whole chunk, and a shared check compares the clocks every minute
+		assert.deepEqual(scheduled.map(({delay}) => delay), [MAX_TIMEOUT, 60 * 1000]);
+
+		// The clock jumps ahead while waiting (for example, the machine slept)
+		monotonicNow = 60 * 1000;
+		wallNow = (MAX_TIMEOUT * 3) - 1000;
+		scheduled[1].callback();
+		assert.deepEqual(scheduled.slice(2).map(({delay}) => delay), [1000, 60 * 1000]);
+
+		// The clock is set back before the final timer fires
+		monotonicNow += 1000;
+		wallNow = (MAX_TIMEOUT * 3) - 1500;
+		scheduled[2].callback();
+		assert.equal(called, false);
+		assert.deepEqual(scheduled.slice(4).map(({delay}) => delay), [1500, 60 * 1000]);
+
+		wallNow = MAX_TIMEOUT * 3;
+		scheduled[4].callback();
+		assert.equal(called, true);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		Date.now = originalDateNow;
+		performance.now = originalPerformanceNow;
+	}
+});
+
+test('setTimeout - accepts an options object', async () => {
+	let result;
+	setTimeout(value => {
+		result = value;
+	}, {delay: 10}, 'unicorn');
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(result, 'unicorn');
+});
+
+test('setTimeout - coerces objects without known options to a number', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {}, {valueOf: () => 200});
+	const interval = timers.setInterval(() => {}, {valueOf: () => 300});
+
+	assert.equal(timeout.remaining, 200);
+	assert.equal(interval.remaining, 300);
+	timers.clearInterval(interval);
+});
+
+test('setTimeout - throws on invalid clock', () => {
+	assert.throws(() => setTimeout(() => {}, {delay: 10, clock: 'unicorn'}), TypeError);
+	assert.throws(() => setInterval(() => {}, {delay: 10, clock: 'unicorn'}), TypeError);
+});
+
+test('setTimeout - wall clock fires at the intended time after suspend', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalDateNow = Date.now;
+	const originalPerformanceNow = performance.now;
+	const scheduled = [];
+	let wallNow = 0;
+	let monotonicNow = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		scheduled.push({callback, delay});
+		return {};
+	};
+
+	Date.now = () => wallNow;
+	performance.now = () => monotonicNow;
+
+	try {
+		let called = false;
+		setTimeout(() => {
+			called = true;
+		}, {delay: MAX_TIMEOUT * 2, clock: 'wall'});
+
+		assert.equal(scheduled[0].delay, MAX_TIMEOUT);
+
+		// The system was suspended for most of the remaining time, so the chunk fires late on the wall clock
+		monotonicNow = MAX_TIMEOUT;
+		wallNow = (MAX_TIMEOUT * 2) - 1000;
+		scheduled[0].callback();
+		assert.equal(called, false);
+		assert.equal(scheduled.at(-1).delay, 1000);
+
+		wallNow = MAX_TIMEOUT * 2;
+		scheduled.at(-1).callback();
+		assert.equal(called, true);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		Date.now = originalDateNow;
+		performance.now = originalPerformanceNow;
+	}
+});
+
+test('setTimeout - wall clock notices a suspend during the final wait', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalClearTimeout = globalThis.clearTimeout;
+	const originalDateNow = Date.now;
+	const originalPerformanceNow = performance.now;
+	const scheduled = [];
+	let wallNow = 0;
+	let monotonicNow = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		const entry = {callback, delay, cleared: false};
+		scheduled.push(entry);
+		return entry;
+	};
+
+	globalThis.clearTimeout = entry => {
+		entry.cleared = true;
+	};
+
+	Date.now = () => wallNow;
+	performance.now = () => monotonicNow;
+
+	try {
+		let called = false;
+		setTimeout(() => {
+			called = true;
+		}, {delay: 7 * DAY, clock: 'wall'});
+
+		// The timer itself waits the whole time, instead of waking up every minute
+		assert.deepEqual(scheduled.map(({delay}) => delay), [7 * DAY, 60 * 1000]);
+
+		// Without drift, the check only re-arms itself
+		monotonicNow = 60 * 1000;
+		wallNow = 60 * 1000;
+		scheduled[1].callback();
+		assert.deepEqual(scheduled.map(({delay}) => delay), [7 * DAY, 60 * 1000, 60 * 1000]);
+
+		// The system was suspended for 3 days, during which native timers didn't advance
+		monotonicNow = 2 * 60 * 1000;
+		wallNow = (3 * DAY) + (2 * 60 * 1000);
+		scheduled[2].callback();
+		assert.equal(called, false);
+		assert.equal(scheduled[0].cleared, true);
+
+		// Without the check, the timer would fire 3 days late
+		assert.equal(scheduled[3].delay, (4 * DAY) - (2 * 60 * 1000));
+
+		wallNow = 7 * DAY;
+		scheduled[3].callback();
+		assert.equal(called, true);
+
+		// The check stops when no wall-clock timers are left
+		assert.equal(scheduled.at(-1).cleared, true);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		globalThis.clearTimeout = originalClearTimeout;
+		Date.now = originalDateNow;
+		performance.now = originalPerformanceNow;
+	}
+});
+
+test('setTimeout - wall-clock timers share one check', () => {
+	const delays = [];
+	const timers = createTimers({
+		setTimeout(callback, delay) {
+			delays.push(delay);
+			return {};
+		},
+		clearTimeout() {},
+	});
+
+	const first = timers.setTimeout(() => {}, {delay: DAY, clock: 'wall'});
+	const second = timers.setTimeout(() => {}, {delay: 2 * DAY, clock: 'wall'});
+	timers.setTimeout(() => {}, 3 * DAY);
+
+	assert.equal(delays.length, 4);
+	assert.equal(delays.filter(delay => delay === 60 * 1000).length, 1);
+	timers.clearTimeout(first);
+	timers.clearTimeout(second);
+});
+
+test('setTimeout - wall clock does not fire before the target when the clock is set back', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalDateNow = Date.now;
+	const scheduled = [];
+	let now = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		scheduled.push({callback, delay});
+		return {};
+	};
+
+	Date.now = () => now;
+
+	const lastTimer = () => scheduled.findLast(({delay}) => delay !== 60 * 1000);
+
+	try {
+		let called = false;
+		setTimeout(() => {
+			called = true;
+		}, {delay: 1000, clock: 'wall'});
+
+		// The native timer fired, but the system clock was set back in the meantime
+		now = 400;
+		lastTimer().callback();
+		assert.equal(called, false);
+		assert.equal(lastTimer().delay, 600);
+
+		now = 1000;
+		lastTimer().callback();
+		assert.equal(called, true);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		Date.now = originalDateNow;
+	}
+});
+
+test('setTimeout - monotonic clock re-plans when a chunk fires late', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalPerformanceNow = performance.now;
+	const scheduled = [];
+	let now = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		scheduled.push({callback, delay});
+		return {};
+	};
+
+	performance.now = () => now;
+
+	try {
+		setTimeout(() => {}, MAX_TIMEOUT * 3);
+		assert.equal(scheduled.at(-1).delay, MAX_TIMEOUT);
+
+		// The first chunk fired a whole chunk late
+		now = MAX_TIMEOUT * 2;
+		scheduled.at(-1).callback();
+		assert.equal(scheduled.at(-1).delay, MAX_TIMEOUT);
+		assert.equal(scheduled.length, 2);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		performance.now = originalPerformanceNow;
+	}
+});
+
+test('setInterval - wall clock keeps ticks aligned to the wall clock', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalDateNow = Date.now;
+	const scheduled = [];
+	let now = 0;
+
+	globalThis.setTimeout = (callback, delay) => {
+		scheduled.push({callback, delay});
+		return {};
+	};
+
+	Date.now = () => now;
+
+	const lastTimer = () => scheduled.findLast(({delay}) => delay !== 60 * 1000);
+
+	try {
+		let calls = 0;
+		setInterval(() => {
+			calls++;
+		}, {delay: 1000, clock: 'wall'});
+
+		// Fired early according to the wall clock
+		now = 500;
+		lastTimer().callback();
+		assert.equal(calls, 0);
+		assert.equal(lastTimer().delay, 500);
+
+		now = 1000;
+		lastTimer().callback();
+		assert.equal(calls, 1);
+		assert.equal(lastTimer().delay, 1000);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+		Date.now = originalDateNow;
+	}
+});
+
+test('clearTimeout - clears native timers', async () => {
+	let calls = 0;
+	const callback = () => {
+		calls++;
+	};
+
+	clearTimeout(globalThis.setTimeout(callback, 10));
+	clearInterval(globalThis.setInterval(callback, 10));
+
+	await new Promise(resolve => {
+		globalThis.setTimeout(resolve, 50);
+	});
+
+	assert.equal(calls, 0);
+});
+
+test('clearTimeout - forwards unbranded values to the native function', () => {
+	const originalClearTimeout = globalThis.clearTimeout;
+	const originalClearInterval = globalThis.clearInterval;
+	const cleared = [];
+	globalThis.clearTimeout = id => cleared.push(['timeout', id]);
+	globalThis.clearInterval = id => cleared.push(['interval', id]);
+
+	try {
+		clearTimeout(42);
+		clearInterval('43');
+		clearTimeout(undefined);
+		clearInterval(null);
+	} finally {
+		globalThis.clearTimeout = originalClearTimeout;
+		globalThis.clearInterval = originalClearInterval;
+	}
+
+	assert.deepEqual(cleared, [['timeout', 42], ['interval', '43']]);
+});
+
+test('install - replaces and restores the global timer functions', async () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const originalClearTimeout = globalThis.clearTimeout;
+	const nativeTimeout = originalSetTimeout(() => {
+		assert.fail('Native timer should be cleared');
+	}, 20);
+
+	install();
+
+	try {
+		install();
+		assert.equal(globalThis.setTimeout, setTimeout);
+		assert.equal(globalThis.setInterval, setInterval);
+		assert.equal(globalThis.clearTimeout, clearTimeout);
+		assert.equal(globalThis.clearInterval, clearInterval);
+
+		// Native timers created before installing can still be cleared
+		globalThis.clearTimeout(nativeTimeout);
+
+		const longTimeout = globalThis.setTimeout(() => {}, MAX_TIMEOUT * 2);
+		assert.equal(longTimeout.remaining > MAX_TIMEOUT, true);
+		globalThis.clearTimeout(longTimeout);
+
+		await new Promise(resolve => {
+			globalThis.setTimeout(resolve, 30);
+		});
+	} finally {
+		uninstall();
+	}
+
+	assert.equal(globalThis.setTimeout, originalSetTimeout);
+	assert.equal(globalThis.clearTimeout, originalClearTimeout);
+
+	// Does nothing when not installed
+	uninstall();
+	assert.equal(globalThis.setTimeout, originalSetTimeout);
+});
+
+test('install - keeps util.promisify working', async () => {
+	install();
+
+	try {
+		const value = await promisify(globalThis.setTimeout)(10, 'unicorn');
+		assert.equal(value, 'unicorn');
+	} finally {
+		uninstall();
+	}
+
+	assert.equal(promisify(setTimeout), setTimeoutPromise);
+});
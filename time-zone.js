@@ -0,0 +1,70 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = timeZone => {
+	const key = timeZone ?? '';
+	let formatter = formatters.get(key);
+
+	if (formatter === undefined) {
+		// Throws a `RangeError` for unknown time zones
+		formatter = new Intl.DateTimeFormat('en-US', {
+			timeZone,
+			hourCycle: 'h23',
+			year: 'numeric',
+			month: 'numeric',
+			day: 'numeric',
+			hour: 'numeric',
+			minute: 'numeric',
+			second: 'numeric',
+		});
+
+		formatters.set(key, formatter);
+	}
+
+	return formatter;
+};
+
+// The wall-clock time in the given time zone, with `month` from 1 to 12
+export function getZonedTime(timestamp, timeZone) {
+	const parts = {};
+	for (const {type, value} of getFormatter(timeZone).formatToParts(timestamp)) {
+		if (type !== 'literal') {
+			parts[type] = Number(value);
+		}
+	}
+
+	return {
+		year: parts.year,
+		month: parts.month,
+		day: parts.day,
+		hour: parts.hour,
+		minute: parts.minute,
+		second: parts.second,
+		millisecond: ((timestamp % 1000) + 1000) % 1000,
+	};
+}
+
+// Treats a wall-clock time as if it were UTC, which makes calendar arithmetic independent of offsets
+export function zonedTimeToUtc({year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0}) {
+	return Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+}
+
+const getOffset = (timestamp, timeZone) => zonedTimeToUtc(getZonedTime(timestamp, timeZone)) - timestamp;
+
+// The timestamp of a wall-clock time in the given time zone.
+// Ambiguous times (when clocks are set back) resolve to the earliest one. Times that don't exist (when clocks are set forward) move forward by the length of the gap.
+export function fromZonedTime(zonedTime, timeZone) {
+	const local = zonedTimeToUtc(zonedTime);
+	const offsetBefore = getOffset(local - DAY, timeZone);
+	const offsetAfter = getOffset(local + DAY, timeZone);
+
+	const candidates = [local - offsetBefore, local - offsetAfter]
+		.filter(timestamp => zonedTimeToUtc(getZonedTime(timestamp, timeZone)) === local);
+
+	if (candidates.length === 0) {
+		return local - offsetBefore;
+	}
+
+	return Math.min(...candidates);
+}
@@ -0,0 +1,417 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	setTimeout,
+	clearTimeout,
+	setInterval,
+	clearInterval,
+	createTimers,
+	createVirtualClock,
+	MAX_TIMEOUT,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('setTimeout - exposes targetTime and remaining', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const timeout = timers.setTimeout(() => {}, 41 * DAY);
+
+	assert.equal(timeout.targetTime, 41 * DAY);
+	assert.equal(timeout.remaining, 41 * DAY);
+
+	clock.tick(30 * DAY);
+	assert.equal(timeout.remaining, 11 * DAY);
+
+	clock.tick(11 * DAY);
+	assert.equal(timeout.remaining, 0);
+});
+
+test('setTimeout - remaining is 0 after clearing', () => {
+	const timeout = setTimeout(() => {}, 41 * DAY);
+	assert.ok(timeout.remaining > 40 * DAY);
+
+	clearTimeout(timeout);
+	assert.equal(timeout.remaining, 0);
+});
+
+test('setTimeout - remaining is Infinity when never firing', () => {
+	const timeout = setTimeout(() => {}, Infinity);
+	assert.equal(timeout.targetTime, Number.POSITIVE_INFINITY);
+	assert.equal(timeout.remaining, Number.POSITIVE_INFINITY);
+});
+
+test('setTimeout - targetTime and remaining are read-only', () => {
+	const timeout = setTimeout(() => {}, 1000);
+
+	assert.throws(() => {
+		timeout.remaining = 0;
+	}, TypeError);
+
+	assert.throws(() => {
+		timeout.targetTime = 0;
+	}, TypeError);
+
+	clearTimeout(timeout);
+});
+
+test('setInterval - targetTime and remaining report the next tick', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const interval = timers.setInterval(() => {}, 30 * DAY);
+
+	assert.equal(interval.targetTime, 30 * DAY);
+
+	clock.tick(45 * DAY);
+	assert.equal(interval.targetTime, 60 * DAY);
+	assert.equal(interval.remaining, 15 * DAY);
+
+	timers.clearInterval(interval);
+	assert.equal(interval.remaining, 0);
+});
+
+test('setInterval - remaining is Infinity when never firing', () => {
+	const interval = setInterval(() => {}, Infinity);
+	assert.equal(interval.remaining, Number.POSITIVE_INFINITY);
+});
+
+test('hasRef - reflects ref/unref state', () => {
+	const timeout = setTimeout(() => {}, 1000);
+	assert.equal(timeout.hasRef(), true);
+
+	timeout.unref();
+	assert.equal(timeout.hasRef(), false);
+
+	timeout.ref();
+	assert.equal(timeout.hasRef(), true);
+	clearTimeout(timeout);
+
+	const interval = setInterval(() => {}, 1000).unref();
+	assert.equal(interval.hasRef(), false);
+	clearInterval(interval);
+});
+
+test('setTimeout - refresh restarts with the original delay', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, 30 * DAY);
+
+	clock.tick(20 * DAY);
+	assert.equal(timeout.refresh(), timeout);
+	assert.equal(timeout.targetTime, 50 * DAY);
+
+	clock.tick(29 * DAY);
+	assert.equal(calls, 0);
+
+	clock.tick(DAY);
+	assert.equal(calls, 1);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('setTimeout - refresh schedules a fired timeout again', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, 1000);
+
+	clock.tick(1000);
+	assert.equal(calls, 1);
+
+	timeout.refresh();
+	clock.tick(1000);
+	assert.equal(calls, 2);
+});
+
+test('setTimeout - refresh does nothing after clearing', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {
+		assert.fail('Should never be called');
+	}, 1000);
+
+	timers.clearTimeout(timeout);
+	timeout.refresh();
+	timeout.reschedule(10);
+
+	assert.equal(clock.pendingCount, 0);
+	clock.runAll();
+});
+
+test('setTimeout - reschedule changes the delay in place', () => {
+	const clock = createVirtualClock({now: 0});
+	const delays = [];
+	const timers = createTimers({
+		...clock,
+		setTimeout(callback, delay) {
+			delays.push(delay);
+			return clock.setTimeout(callback, delay);
+		},
+	});
+	let firedAt;
+
+	const timeout = timers.setTimeout(() => {
+		firedAt = clock.now();
+	}, 1000);
+
+	clock.tick(500);
+	assert.equal(timeout.reschedule(90 * DAY), timeout);
+	assert.equal(clock.pendingCount, 1);
+
+	clock.runAll();
+	assert.equal(firedAt, 500 + (90 * DAY));
+	assert.ok(delays.every(delay => delay <= MAX_TIMEOUT));
+
+	// The new delay is used when refreshing
+	timeout.refresh();
+	assert.equal(timeout.remaining, 90 * DAY);
+});
+
+test('setTimeout - refresh keeps unref state', () => {
+	const originalSetTimeout = globalThis.setTimeout;
+	const unreffed = [];
+
+	globalThis.setTimeout = (...arguments_) => {
+		const id = originalSetTimeout(...arguments_);
+		const originalUnref = id.unref.bind(id);
+		id.unref = () => {
+			unreffed.push(id);
+			return originalUnref();
+		};
+
+		return id;
+	};
+
+	try {
+		const timeout = setTimeout(() => {}, 1000).unref();
+		const firstId = timeout.id;
+		timeout.refresh();
+
+		assert.notEqual(timeout.id, firstId);
+		assert.ok(unreffed.includes(timeout.id));
+		clearTimeout(timeout);
+	} finally {
+		globalThis.setTimeout = originalSetTimeout;
+	}
+});
+
+test('setInterval - reschedule changes the period', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now());
+	}, 1000);
+
+	clock.tick(1500);
+	interval.reschedule(2000);
+	clock.tick(4000);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(ticks, [1000, 3500, 5500]);
+});
+
+test('setInterval - refresh restarts the current period', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now());
+	}, 1000);
+
+	clock.tick(800);
+	interval.refresh();
+	clock.tick(2000);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(ticks, [1800, 2800]);
+});
+
+test('setTimeout - pause and resume keep the remaining time', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let firedAt;
+
+	const timeout = timers.setTimeout(() => {
+		firedAt = clock.now();
+	}, 30 * DAY);
+
+	clock.tick(10 * DAY);
+	assert.equal(timeout.pause(), timeout);
+	assert.equal(timeout.paused, true);
+	assert.equal(clock.pendingCount, 0);
+
+	clock.tick(100 * DAY);
+	assert.equal(firedAt, undefined);
+	assert.equal(timeout.remaining, 20 * DAY);
+	assert.equal(timeout.targetTime, 130 * DAY);
+
+	assert.equal(timeout.resume(), timeout);
+	assert.equal(timeout.paused, false);
+	clock.runAll();
+	assert.equal(firedAt, 130 * DAY);
+});
+
+test('setTimeout - pause is a no-op after firing or clearing', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, 1000);
+
+	clock.tick(1000);
+	timeout.pause();
+	assert.equal(timeout.paused, false);
+	timeout.resume();
+	clock.runAll();
+	assert.equal(calls, 1);
+
+	const cleared = timers.setTimeout(() => {}, 1000);
+	timers.clearTimeout(cleared);
+	cleared.pause();
+	assert.equal(cleared.paused, false);
+});
+
+test('setTimeout - resume does nothing after clearing a paused timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {
+		assert.fail('Should never be called');
+	}, 1000);
+
+	timeout.pause();
+	timers.clearTimeout(timeout);
+	timeout.resume();
+
+	assert.equal(clock.pendingCount, 0);
+	assert.equal(timeout.remaining, 0);
+});
+
+test('setTimeout - reschedule while paused updates the remaining time', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let firedAt;
+
+	const timeout = timers.setTimeout(() => {
+		firedAt = clock.now();
+	}, 1000);
+
+	timeout.pause();
+	timeout.reschedule(5000);
+	assert.equal(timeout.paused, true);
+	assert.equal(timeout.remaining, 5000);
+	assert.equal(clock.pendingCount, 0);
+
+	clock.tick(1000);
+	timeout.resume();
+	clock.runAll();
+	assert.equal(firedAt, 6000);
+});
+
+test('setInterval - pause and resume continue the schedule', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now());
+	}, 1000);
+
+	clock.tick(1400);
+	interval.pause();
+	clock.tick(10_000);
+	interval.resume();
+	clock.tick(2000);
+	timers.clearInterval(interval);
+
+	assert.deepEqual(ticks, [1000, 12_000, 13_000]);
+});
+
+test('Timeout#reschedule - accepts duration strings', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {}, 1000);
+	timeout.reschedule('2 days');
+	assert.equal(timeout.remaining, 2 * DAY);
+	timers.clearTimeout(timeout);
+});
+
+test('Symbol.dispose - clears the timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, 30 * DAY);
+	const interval = timers.setInterval(() => {
+		calls++;
+	}, DAY);
+
+	timeout[Symbol.dispose]();
+	interval[Symbol.dispose]();
+	clock.tick(30 * DAY);
+
+	assert.equal(calls, 0);
+	assert.equal(timeout.cleared, true);
+	assert.equal(interval.cleared, true);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('Symbol.toPrimitive - returns an ID that clears the timer', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+
+	const timeout = timers.setTimeout(() => {}, 30 * DAY);
+	const interval = timers.setInterval(() => {}, DAY);
+	const id = Number(timeout);
+
+	assert.ok(Number.isInteger(id) && id < 0);
+	assert.equal(Number(timeout), id);
+	assert.equal(`${timeout}`, String(id));
+	assert.notEqual(Number(interval), id);
+
+	const handles = {[timeout]: timeout};
+	assert.equal(handles[id], timeout);
+
+	clearTimeout(id);
+	clearInterval(String(interval));
+
+	assert.equal(timeout.cleared, true);
+	assert.equal(interval.cleared, true);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('Symbol.toPrimitive - forgets the ID once the timer is done', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let calls = 0;
+
+	const timeout = timers.setTimeout(() => {
+		calls++;
+	}, 1000);
+	const id = Number(timeout);
+
+	clock.tick(1000);
+	timeout.refresh();
+
+	// Refreshing makes the ID usable again
+	clearTimeout(id);
+	clock.tick(1000);
+
+	assert.equal(calls, 1);
+	assert.equal(timeout.cleared, true);
+});
@@ -0,0 +1,63 @@
+import {isDurationLike} from './parse-delay.js';
+
+// Maximum safe timeout value for setTimeout in JavaScript (2^31 - 1 milliseconds)
+// This is approximately 24.8 days
+export const MAX_TIMEOUT = 2_147_483_647;
+
+// Brand symbol to identify our timeout/interval objects
+// Use Symbol.for to ensure cross-copy compatibility (monorepos, hoisted deps, etc.)
+export const brandSymbol = Symbol.for('sindresorhus/unlimited-timeout#brand');
+
+// Handles store their own teardown under this symbol, so `clearTimeout` works with handles from any `createTimers()` instance or package copy
+export const cancelSymbol = Symbol.for('sindresorhus/unlimited-timeout#cancel');
+
+// The native timer functions replaced by `install()`, or `undefined` when not installed
+let originals;
+
+// Looked up at call time, so the globals can be replaced (for example, by fake timers in tests)
+// Always called on `globalThis`, as browsers throw when native timer functions are called on another object
+export const callNative = (name, ...arguments_) => (originals ?? globalThis)[name].call(globalThis, ...arguments_);
+
+export function replaceGlobals(replacements) {
+	if (originals !== undefined) {
+		return;
+	}
+
+	originals = Object.fromEntries(Object.keys(replacements).map(name => [name, globalThis[name]]));
+	Object.assign(globalThis, replacements);
+}
+
+export function restoreGlobals() {
+	if (originals === undefined) {
+		return;
+	}
+
+	Object.assign(globalThis, originals);
+	originals = undefined;
+}
+
+// The options of the timer functions, shared so the scheduler recognizes the ones it doesn't support
+export const timerOptionNames = ['delay', 'clock', 'strict', 'jitter', 'missed', 'overlap', 'onError', 'count', 'until', 'label', 'signal', 'tolerance'];
+
+export const isPlainObject = value => {
+	if (typeof value !== 'object' || value === null) {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+};
+
+// Only objects with a known option are options, so other objects, like `{valueOf() {}}`, are still coerced to a number like with native timers
+export const isOptionsObject = (value, optionNames) => isPlainObject(value) && !isDurationLike(value) && optionNames.some(name => name in value);
+
+export const isPromiseLike = value => typeof value?.then === 'function';
+
+// Without an error handler, errors are rethrown, so they surface like they would with native timers
+export function handleTimerError(error, timer, onError) {
+	if (onError === undefined) {
+		throw error;
+	}
+
+	onError(error, timer);
+}
@@ -0,0 +1,75 @@
+// Guards against intervals that would make `runAll()` loop forever
+const MAX_RUN_ALL_TIMERS = 10_000;
+
+export function createVirtualClock({now: startTime = Date.now()} = {}) {
+	if (!Number.isFinite(startTime)) {
+		throw new TypeError('Expected `now` to be a finite number');
+	}
+
+	let currentTime = startTime;
+	let nextId = 1;
+	const pending = new Map();
+
+	// Earliest timer first, in scheduling order for timers due at the same time
+	const nextDueTimer = () => {
+		let next;
+		for (const timer of pending.values()) {
+			if (next === undefined || timer.time < next.time) {
+				next = timer;
+			}
+		}
+
+		return next;
+	};
+
+	const run = timer => {
+		pending.delete(timer.id);
+		currentTime = Math.max(currentTime, timer.time);
+		timer.callback(...timer.arguments_);
+	};
+
+	return {
+		now() {
+			return currentTime;
+		},
+		setTimeout(callback, delay = 0, ...arguments_) {
+			const id = nextId++;
+			pending.set(id, {
+				id,
+				callback,
+				arguments_,
+				time: currentTime + Math.max(0, Number(delay) || 0),
+			});
+
+			return id;
+		},
+		clearTimeout(id) {
+			pending.delete(id);
+		},
+		tick(milliseconds) {
+			if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+				throw new TypeError('Expected `milliseconds` to be a non-negative finite number');
+			}
+
+			const targetTime = currentTime + milliseconds;
+
+			for (let timer = nextDueTimer(); timer !== undefined && timer.time <= targetTime; timer = nextDueTimer()) {
+				run(timer);
+			}
+
+			currentTime = targetTime;
+		},
+		runAll() {
+			for (let count = 0; pending.size > 0; count++) {
+				if (count >= MAX_RUN_ALL_TIMERS) {
+					throw new Error(`Aborting after running ${MAX_RUN_ALL_TIMERS} timers, assuming an infinite loop`);
+				}
+
+				run(nextDueTimer());
+			}
+		},
+		get pendingCount() {
+			return pending.size;
+		},
+	};
+}
@@ -0,0 +1,120 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	clearTimeout,
+	createTimers,
+	createVirtualClock,
+	MAX_TIMEOUT,
+} from './index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('createTimers - fires long timeouts with a virtual clock', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let result;
+
+	timers.setTimeout(value => {
+		result = value;
+	}, 90 * DAY, 'unicorn');
+
+	clock.tick((90 * DAY) - 1);
+	assert.equal(result, undefined);
+
+	clock.tick(1);
+	assert.equal(result, 'unicorn');
+	assert.equal(clock.now(), 90 * DAY);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('createTimers - steps through chunk boundaries', () => {
+	const clock = createVirtualClock({now: 0});
+	const delays = [];
+	const timers = createTimers({
+		...clock,
+		setTimeout(callback, delay) {
+			delays.push(delay);
+			return clock.setTimeout(callback, delay);
+		},
+	});
+
+	timers.setTimeout(() => {}, (MAX_TIMEOUT * 2) + 1000);
+	clock.runAll();
+
+	assert.deepEqual(delays, [MAX_TIMEOUT, MAX_TIMEOUT, 1000]);
+});
+
+test('createTimers - intervals tick on schedule with a virtual clock', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	const ticks = [];
+
+	const interval = timers.setInterval(() => {
+		ticks.push(clock.now());
+	}, 30 * DAY);
+
+	clock.tick(365 * DAY);
+	timers.clearInterval(interval);
+
+	assert.equal(ticks.length, 12);
+	assert.deepEqual(ticks.slice(0, 2), [30 * DAY, 60 * DAY]);
+	assert.equal(clock.pendingCount, 0);
+});
+
+test('createTimers - clears with the custom clearTimeout', () => {
+	const clock = createVirtualClock({now: 0});
+	const timers = createTimers(clock);
+	let called = false;
+
+	const timeout = timers.setTimeout(() => {
+		called = true;
+	}, 90 * DAY);
+
+	// Any `clearTimeout` works with handles from any instance
+	clearTimeout(timeout);
+	assert.equal(clock.pendingCount, 0);
+	assert.equal(timeout.cleared, true);
+
+	clock.runAll();
+	assert.equal(called, false);
+});
+
+test('createTimers - setTimeoutAt uses the custom clock', () => {
+	const clock = createVirtualClock({now: Date.parse('2026-01-01T00:00Z')});
+	const timers = createTimers(clock);
+	let firedAt;
+
+	timers.setTimeoutAt('2027-01-01T00:00Z', () => {
+		firedAt = clock.now();
+	});
+
+	clock.runAll();
+	assert.equal(firedAt, Date.parse('2027-01-01T00:00Z'));
+});
+
+test('createTimers - throws on invalid now', () => {
+	assert.throws(() => createTimers({now: 1}), TypeError);
+});
+
+test('createVirtualClock - runAll throws on endless intervals', () => {
+	const clock = createVirtualClock();
+	const timers = createTimers(clock);
+	timers.setInterval(() => {}, 1000);
+
+	assert.throws(() => {
+		clock.runAll();
+	}, /infinite loop/);
+});
+
+test('createVirtualClock - runs timers in order', () => {
+	const clock = createVirtualClock({now: 0});
+	const order = [];
+
+	clock.setTimeout(() => order.push('b'), 20);
+	clock.setTimeout(() => order.push('a'), 10);
+	clock.setTimeout(() => order.push('c'), 20);
+	clock.tick(20);
+
+	assert.deepEqual(order, ['a', 'b', 'c']);
+	assert.equal(clock.now(), 20);
+});